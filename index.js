@@ -10,13 +10,59 @@ import {
 
 import {
   createWallet,
+  importWallet,
+  exportWallet,
+  listWallets,
+  selectWallet,
+  renameWallet,
+  deleteWallet,
+  changePassword,
+  unlockWallet,
+  lockWallet,
+  isWalletUnlocked,
+  getSessionStatus,
   getWalletAddress,
+  getWalletAddresses,
+  deriveAccount,
+  listAccounts,
+  labelAccount,
   getBalance,
-  transfer,
-  collectFees,
+  signMessage,
+  signTypedData,
+  verifySignature,
+  previewTransfer,
+  previewCollectFees,
+  previewReplacement,
+  confirmTransaction,
+  watchAddress,
+  watchOnlyError,
 } from "./lib/wallet.js";
-import { launchCoin, getApiStatus } from "./lib/launcher.js";
-import { getVestingInfo, claimVestedTokens } from "./lib/vesting.js";
+import { launchCoin, resumeLaunches, getApiStatus } from "./lib/launcher.js";
+import { getVestingInfo, previewClaim } from "./lib/vesting.js";
+import { getTokenBalance, previewTokenTransfer } from "./lib/tokens.js";
+import { previewSweep } from "./lib/sweep.js";
+import { getLaunchStatus } from "./lib/deployment.js";
+import {
+  previewDistribution,
+  runDistribution,
+  getDistributionStatus,
+} from "./lib/distribution.js";
+import {
+  previewBatchLaunch,
+  runBatchLaunch,
+  getBatchStatus,
+} from "./lib/launchbatch.js";
+import { listHistory } from "./lib/history.js";
+import { queryGraphQL as queryIndexer } from "./lib/indexer.js";
+import { getPolicyStatus } from "./lib/policy.js";
+import { describeLogo } from "./lib/logo.js";
+import { updateMetadata } from "./lib/metadata.js";
+import {
+  resolveAddress,
+  addContact,
+  listContacts,
+  removeContact,
+} from "./lib/addressbook.js";
 
 // API endpoints - all on the Ponder indexer server
 const API_BASE_URL =
@@ -24,18 +70,25 @@ const API_BASE_URL =
 const GRAPHQL_URL =
   process.env.GRAPHQL_URL || "https://vibecoin.up.railway.app/graphql";
 
+// Wallet actions that need a key, refused up front for watch-only wallets
+const SIGNING_WALLET_ACTIONS = [
+  "export",
+  "change-password",
+  "unlock",
+  "derive",
+  "transfer",
+  "token-transfer",
+  "sweep",
+  "collect-fees",
+  "speed-up",
+  "cancel",
+  "sign",
+  "sign-typed-data",
+];
+
 // Helper to query GraphQL
-async function queryGraphQL(query, variables = {}) {
-  const response = await fetch(GRAPHQL_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ query, variables }),
-  });
-  const result = await response.json();
-  if (result.errors) {
-    throw new Error(result.errors[0].message);
-  }
-  return result.data;
+function queryGraphQL(query, variables = {}) {
+  return queryIndexer(GRAPHQL_URL, query, variables);
 }
 
 // Format wei to ETH with nice display
@@ -109,8 +162,25 @@ function formatUsd(value) {
   return `$${(v / 1000000).toFixed(2)}M`;
 }
 
-// Format a token for nice display
-function formatToken(token, index = null) {
+// Metadata sent at launch, shown with each token in listings
+const TOKEN_METADATA_FIELDS = `
+  url
+  github
+  description
+  twitter
+  telegram
+  discord
+  tags`;
+
+// The large fields (an inline logo can be 128 KB) are only fetched when
+// looking up a single token
+const TOKEN_DETAIL_FIELDS = `
+  ${TOKEN_METADATA_FIELDS}
+  longDescription
+  logo`;
+
+// Format a token for nice display; detailed adds the long description
+function formatToken(token, index = null, detailed = false) {
   const prefix = index !== null ? `${index + 1}. ` : "";
   const nameDisplay =
     token.name && token.symbol
@@ -130,6 +200,34 @@ function formatToken(token, index = null) {
     `   Last Trade: ${formatTimestamp(token.lastSwapTimestamp)}`,
     `   Launched: ${formatTimestamp(token.launchTimestamp)}`,
   ];
+
+  const links = [
+    ["Website", token.url],
+    ["GitHub", token.github],
+    ["Twitter/X", token.twitter],
+    ["Telegram", token.telegram],
+    ["Discord", token.discord],
+  ];
+  for (const [label, link] of links) {
+    if (link) {
+      lines.push(`   ${label}: ${link}`);
+    }
+  }
+  if (token.tags?.length > 0) {
+    lines.push(`   Tags: ${token.tags.map((tag) => `#${tag}`).join(" ")}`);
+  }
+  if (token.logo) {
+    lines.push(`   Logo: ${describeLogo(token.logo)}`);
+  }
+  if (token.description) {
+    lines.push(`   About: ${token.description}`);
+  }
+  if (detailed && token.longDescription) {
+    lines.push(
+      "",
+      ...token.longDescription.split("\n").map((line) => `   ${line}`)
+    );
+  }
   return lines.join("\n");
 }
 
@@ -176,32 +274,248 @@ Actions:
 
 IMPORTANT: Your wallet is encrypted with a password. This is the ONLY way to access your wallet. If you lose your password, your wallet and funds are UNRECOVERABLE.
 
+You can keep several named wallets (e.g. "test", "production", "fees"). Every action works on the active wallet unless a wallet name is given.
+
 Actions:
-- create: Create a new wallet (requires password you'll remember forever)
-- get: Get your wallet address (no password needed)
+- create: Create a new wallet (requires password you'll remember forever; name required if a wallet already exists)
+- watch: Track an address you hold no key for, e.g. a co-founder or partner creator (requires name and address, optional label). Read-only actions (balance, get, token-balance) and the my-fees, listings mine and vesting check tools accept it as the wallet; anything that signs is refused
+- import: Import an existing key from a private key, a mnemonic (with optional derivationPath) or a keystore file (keystorePath). Requires password to encrypt it locally. Will not replace an existing wallet unless force is true, and then only with the replaced wallet's password. For headless or hardware setups the key can instead stay outside this server: privateKeyEnv (name of an environment variable), privateKeyFile (path to a key file) or signerUrl (external JSON-RPC signer such as Clef, with optional signerAddress and signerFlavor). These need no password and are never locked; every action signs through them
+- export: Back up a wallet. Writes a standard encrypted keystore file (geth/MetaMask compatible, protected by your wallet password) to outputPath, and/or shows the mnemonic ONCE with includeMnemonic (requires password)
+- list: List all wallets and show which one is active
+- select: Make the named wallet the active one
+- rename: Rename a wallet (requires name and newName)
+- change-password: Re-encrypt a wallet under newPassword (requires current password; optional kdf "scrypt" for stronger, memory-hard encryption)
+- delete: Permanently delete a wallet's key from this machine (requires name and password; no password for wallets whose key is kept elsewhere)
+- unlock: Unlock the wallet for a limited time (ttlSeconds, default 15 min; optional maxOperations) so transfer, collect-fees, launch and vesting claim work without sending the password each time. Locks automatically when idle or when the server stops
+- lock: Lock the wallet now (all: true locks every wallet)
+- get: Get your wallet address and lock status (no password needed)
+- derive: Derive a new account from an HD wallet's seed (m/44'/60'/0'/0/n). Optional index (defaults to the next one) and label. Requires password unless unlocked
+- accounts: List the derived accounts of a wallet
+- label: Set the label of a derived account (account and label; empty label clears it)
 - balance: Check your ETH balance
-- transfer: Send ETH to another address (IRREVERSIBLE - shows warning before sending)
-- collect-fees: Claim accumulated trading fees from the contract`,
+- transfer: Send ETH to another address (requires toAddress, amount). IRREVERSIBLE, so it is two-step: the first call only returns a preview (gas, total cost, checksummed recipient, chain) and a confirmationId; call transfer again with confirmationId and password to send
+- token-balance: Check your balance of any ERC-20 token (requires tokenAddress)
+- token-transfer: Send ERC-20 tokens, e.g. your claimed coin allocation (requires tokenAddress, toAddress, amount in token units; IRREVERSIBLE, preview then confirm like transfer)
+- sweep: Move EVERYTHING to toAddress, e.g. when rotating a creator wallet: the whole ETH balance, computed so the wallet ends at exactly 0 after gas, plus the full balance of the ERC-20 tokens listed in tokens, and with includeTokens of every token the wallet launched or used. IRREVERSIBLE, preview then confirm like transfer
+- collect-fees: Claim accumulated trading fees from the contract (account: "all" collects for every derived account; preview then confirm like transfer)
+- speed-up: Re-send a stuck pending transaction (by nonce) with higher fees (preview then confirm)
+- cancel: Replace a stuck pending transaction (by nonce) with a 0 ETH send to yourself, so it can never be mined (preview then confirm)
+- sign: Sign a text message (EIP-191 personal_sign) with the wallet or an account
+- sign-typed-data: Sign EIP-712 typed data ({ domain, types, primaryType, message }), e.g. an off-chain attestation or allowlist permit. Read it first: permits can authorize spending your tokens
+- verify: Recover who signed a message or typedData from its signature, and check it against expectedAddress (no wallet or password needed)
+
+Transactions that are not mined within TX_WAIT_TIMEOUT_SECONDS (default 2 minutes) are returned as "pending" and keep going in the background; follow them with the history tool.
+
+HD wallets (created by this tool, or imported from a mnemonic) can hold many accounts from one seed, e.g. a separate creator address per coin. Pass account (index or label) to use one.`,
     inputSchema: {
       type: "object",
       properties: {
         action: {
           type: "string",
-          enum: ["create", "get", "balance", "transfer", "collect-fees"],
+          enum: [
+            "create",
+            "import",
+            "watch",
+            "export",
+            "list",
+            "select",
+            "rename",
+            "change-password",
+            "delete",
+            "unlock",
+            "lock",
+            "get",
+            "derive",
+            "accounts",
+            "label",
+            "balance",
+            "transfer",
+            "token-balance",
+            "token-transfer",
+            "sweep",
+            "collect-fees",
+            "speed-up",
+            "cancel",
+            "sign",
+            "sign-typed-data",
+            "verify",
+          ],
           description: "Action to perform",
         },
+        name: {
+          type: "string",
+          description:
+            "Wallet name (required for: select, rename, delete; optional elsewhere, defaults to the active wallet)",
+        },
+        newName: {
+          type: "string",
+          description: "New wallet name (required for: rename)",
+        },
         password: {
           type: "string",
           description:
-            "Wallet password (required for: create, transfer, collect-fees)",
+            "Wallet password (required for: create, import of a key, mnemonic or keystore, export, change-password, delete, unlock; and for sign, sign-typed-data and confirming transfer, token-transfer, sweep, collect-fees, speed-up, cancel unless unlocked)",
+        },
+        newPassword: {
+          type: "string",
+          description: "New wallet password (required for: change-password)",
+        },
+        kdf: {
+          type: "string",
+          enum: ["pbkdf2", "scrypt"],
+          description:
+            "Key derivation function to encrypt with (change-password only, defaults to the wallet's current one)",
+        },
+        privateKey: {
+          type: "string",
+          description: "Hex private key to import (import only)",
+        },
+        mnemonic: {
+          type: "string",
+          description: "BIP-39 mnemonic phrase to import (import only)",
+        },
+        derivationPath: {
+          type: "string",
+          description:
+            "HD derivation path for the mnemonic (import only, default m/44'/60'/0'/0/0)",
+        },
+        keystorePath: {
+          type: "string",
+          description:
+            "Path to a Web3 Secret Storage (geth/MetaMask) keystore JSON file (import only)",
+        },
+        keystorePassword: {
+          type: "string",
+          description:
+            "Password of the keystore file, if different from the wallet password (import only)",
+        },
+        privateKeyEnv: {
+          type: "string",
+          description:
+            "Name of an environment variable of the server holding the private key; it is read at signing time and never stored (import only, no password needed)",
+        },
+        privateKeyFile: {
+          type: "string",
+          description:
+            "Path to a file holding the private key; it is read at signing time and never stored (import only, no password needed)",
+        },
+        signerUrl: {
+          type: "string",
+          description:
+            "JSON-RPC URL of an external signer such as Clef that holds the key (import only, no password needed)",
+        },
+        signerAddress: {
+          type: "string",
+          description:
+            "Account to use on the external signer (import with signerUrl, required if it has several)",
+        },
+        signerFlavor: {
+          type: "string",
+          enum: ["eth", "clef"],
+          description:
+            "External signer API: eth (eth_signTransaction, personal_sign) or clef (account_* methods). Default eth",
+        },
+        force: {
+          type: "boolean",
+          description:
+            "Replace an existing wallet with the same name (import only). A wallet that holds a key here is only replaced with its current password",
+        },
+        outputPath: {
+          type: "string",
+          description:
+            "File or directory to write the keystore JSON to (export only)",
+        },
+        includeMnemonic: {
+          type: "boolean",
+          description:
+            "Show the wallet's mnemonic phrase; only possible once per wallet (export only)",
+        },
+        ttlSeconds: {
+          type: "number",
+          description:
+            "How long the wallet stays unlocked, in seconds (unlock only, default 900, max 86400)",
+        },
+        maxOperations: {
+          type: "number",
+          description:
+            "Lock again after this many signing operations (unlock only, optional)",
+        },
+        all: {
+          type: "boolean",
+          description: "Lock every unlocked wallet (lock only)",
+        },
+        account: {
+          type: "string",
+          description:
+            'HD account index or label (for: get, label, token-balance, token-transfer, collect-fees; "all" for collect-fees across every account)',
+        },
+        index: {
+          type: "number",
+          description: "Account index to derive (derive only, optional)",
+        },
+        label: {
+          type: "string",
+          description:
+            "Account label (for: derive, label), or the label of a watch-only wallet (watch)",
+        },
+        address: {
+          type: "string",
+          description:
+            "Address, address book label or ENS name to track (required for: watch)",
         },
         toAddress: {
           type: "string",
-          description: "Destination address (required for: transfer)",
+          description:
+            "Destination address, address book label or ENS name (required for: transfer, token-transfer, sweep)",
+        },
+        tokens: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "ERC-20 tokens (addresses, labels or ENS names) whose whole balance to send along (sweep only)",
+        },
+        includeTokens: {
+          type: "boolean",
+          description:
+            "Also sweep every token the wallet launched (per the indexer) or has used through this server (sweep only)",
         },
         amount: {
           type: "string",
-          description: "Amount in ETH (required for: transfer)",
+          description:
+            "Amount in ETH for transfer, or in token units for token-transfer",
+        },
+        tokenAddress: {
+          type: "string",
+          description:
+            "ERC-20 token contract address, address book label or ENS name (required for: token-balance, token-transfer)",
+        },
+        message: {
+          type: "string",
+          description: "Text message (for: sign, verify)",
+        },
+        typedData: {
+          type: "object",
+          description:
+            "EIP-712 typed data with domain, types, primaryType and message (for: sign-typed-data, verify)",
+        },
+        signature: {
+          type: "string",
+          description: "Signature to check (for: verify)",
+        },
+        expectedAddress: {
+          type: "string",
+          description:
+            "Address that should have signed (for: verify; optional, the signer is always returned)",
+        },
+        nonce: {
+          type: "number",
+          description:
+            "Nonce of the pending transaction to replace (required for: speed-up, cancel; shown by the history tool)",
+        },
+        confirmationId: {
+          type: "string",
+          description:
+            "ID returned by a transfer, token-transfer, sweep, collect-fees, speed-up or cancel preview. Pass it (with the same action) to send exactly the previewed transactions. Single use, expires after a few minutes",
         },
       },
       required: ["action"],
@@ -219,20 +533,39 @@ What happens:
 
 Requirements:
 - Must have a wallet (use wallet tool first)
-- Password to sign the launch transaction
+- Password to sign the launch transaction (or an unlocked wallet)
 - Coin name
 - Trading symbol (e.g., DOGE, PEPE)
 
 Optional (but encouraged):
 - URL: Project website
 - GitHub: Source code repository
-- Description: What your project does`,
+- Description: What your project does, in a line
+- Long description: Markdown, up to 5000 characters
+- Twitter/X, Telegram and Discord links
+- Tags: Up to 5 categories, e.g. ["meme", "ai"]
+- Logo: Path to a local PNG, JPEG, GIF or WebP image of at most 128 KB, sent inline with the launch
+
+Name (up to 32 characters), symbol (2-10 letters or digits), links, descriptions (up to 500 characters for the short one), tags and the logo file are checked before anything is signed. Use dryRun first: it runs every check, looks for coins with the same symbol or name on the indexer and shows the EIP-712 launch request that would be signed, without a password and without sending anything. The request is bound to the chain, a one-time nonce from the API and a 10-minute expiry, and covers every optional field, the logo by the hash of its image, through a hash.
+
+After the API answers, the launch is checked on-chain: the deployment transaction is awaited and its logs parsed, and the token must have code, the requested name, symbol and 1 billion total supply, and a vesting schedule for the creator. The result is under verification (status verified, mismatch, failed or pending).
+
+Actions:
+- launch (default): Launch a coin (requires name and symbol)
+- launch-status: Re-run the on-chain checks for a launched token (requires tokenAddress); use it when a launch was still pending
+- launch-resume: Find out what happened to launches the API never answered (optional launchId, default all of them). Each launch is saved with an idempotency key before it is sent and retried with backoff; if there is still no answer, launch-resume looks the coin up on the indexer and, while the signed request is valid, submits it again under the same key. A new launch of the same symbol is refused until the earlier one is settled`,
     inputSchema: {
       type: "object",
       properties: {
+        action: {
+          type: "string",
+          enum: ["launch", "launch-status", "launch-resume"],
+          description: "Action to perform (default: launch)",
+        },
         password: {
           type: "string",
-          description: "Wallet password to sign the launch",
+          description:
+            "Wallet password to sign the launch (not needed while the wallet is unlocked)",
         },
         name: {
           type: "string",
@@ -255,8 +588,154 @@ Optional (but encouraged):
           description:
             "Brief description of your project (optional but encouraged)",
         },
+        longDescription: {
+          type: "string",
+          description:
+            "Longer description in markdown, up to 5000 characters (optional)",
+        },
+        twitter: {
+          type: "string",
+          description:
+            "Twitter/X profile URL, e.g. https://x.com/handle (optional)",
+        },
+        telegram: {
+          type: "string",
+          description:
+            "Telegram group or channel link, e.g. https://t.me/group (optional)",
+        },
+        discord: {
+          type: "string",
+          description:
+            "Discord invite link, e.g. https://discord.gg/code (optional)",
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            'Up to 5 category tags: lowercase letters, digits and dashes, e.g. ["meme", "ai"] (optional)',
+        },
+        logo: {
+          type: "string",
+          description:
+            "Path to a local PNG, JPEG, GIF or WebP logo of at most 128 KB (optional)",
+        },
+        wallet: {
+          type: "string",
+          description:
+            "Name of the wallet to launch from (optional, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description:
+            "HD account index or label to launch from, so each coin can have its own creator address (optional)",
+        },
+        dryRun: {
+          type: "boolean",
+          description:
+            "Only validate the launch and check for duplicates; nothing is signed or sent (optional)",
+        },
+        tokenAddress: {
+          type: "string",
+          description:
+            "Token address, address book label or ENS name (for launch-status)",
+        },
+        launchId: {
+          type: "string",
+          description:
+            "Launch to settle (for launch-resume, optional; default: every launch with an unknown outcome)",
+        },
+      },
+    },
+  },
+  {
+    name: "launch-batch",
+    description: `Launch several coins in sequence from a manifest file, with one wallet unlock.
+
+The manifest is JSON (.json) or YAML (.yaml/.yml): a list of coins, or an object with a "coins" list. Each coin has name and symbol, and optionally the other launch fields: url, github, description, longDescription, twitter, telegram, discord, tags (a list) and logo (a path relative to the manifest).
+
+Actions:
+- preview: Run the launch checks (the same as a launch dryRun) for every coin of the manifest, and flag names or symbols used twice in it (requires file). If every coin passes, the batch is saved and a batchId returned. Nothing is signed
+- launch: Launch the coins of a previewed batch one after another (requires batchId, and password unless the wallet is unlocked). Each coin is signed, sent, and checked on-chain like a single launch, and progress is saved after each coin. The batch stops at the first coin that fails or whose outcome is unknown; launching it again settles that coin (as launch-resume does) and continues. Returns a summary table of contract addresses
+- status: Per-coin status and contract address of a batch (batchId), or a summary of all batches`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["preview", "launch", "status"],
+          description: "Action to perform",
+        },
+        file: {
+          type: "string",
+          description:
+            "Path to a JSON or YAML manifest of coins (required for: preview)",
+        },
+        batchId: {
+          type: "string",
+          description: "ID returned by preview (required for: launch)",
+        },
+        password: {
+          type: "string",
+          description:
+            "Wallet password (required for launch, unless the wallet is unlocked)",
+        },
+        wallet: {
+          type: "string",
+          description:
+            "Name of the wallet to launch from (preview only, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description:
+            "HD account index or label to launch from (preview only, optional)",
+        },
+      },
+      required: ["action"],
+    },
+  },
+  {
+    name: "update-metadata",
+    description: `Change the website, GitHub or description of a coin you launched.
+
+The token must have been created by the wallet: its creator on the indexer is checked before anything is signed. The creator wallet then signs an EIP-712 MetadataUpdate for the token, bound to the chain, valid for 10 minutes, and numbered with the next metadata version. The API applies only the next version, so an update prepared against older metadata (or a replayed one) is rejected as stale instead of overwriting a newer change.
+
+Fields left out keep their current value; an empty string clears one.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        tokenAddress: {
+          type: "string",
+          description: "Token address, address book label or ENS name",
+        },
+        url: {
+          type: "string",
+          description: "New project website URL (optional)",
+        },
+        github: {
+          type: "string",
+          description: "New GitHub repository URL (optional)",
+        },
+        description: {
+          type: "string",
+          description: "New description, up to 500 characters (optional)",
+        },
+        password: {
+          type: "string",
+          description:
+            "Wallet password to sign the update (not needed while the wallet is unlocked)",
+        },
+        wallet: {
+          type: "string",
+          description:
+            "Name of the creator wallet (optional, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description:
+            "HD account index or label the coin was launched from (optional)",
+        },
       },
-      required: ["password", "name", "symbol"],
+      required: ["tokenAddress"],
     },
   },
   {
@@ -265,7 +744,9 @@ Optional (but encouraged):
 
 Actions:
 - summary: Total earnings across all your coins
-- by-coin: Breakdown of earnings per coin you've launched`,
+- by-coin: Breakdown of earnings per coin you've launched
+
+Use account="all" to add up the earnings of every account of an HD wallet.`,
     inputSchema: {
       type: "object",
       properties: {
@@ -275,6 +756,16 @@ Actions:
           description:
             "View type: summary (totals) or by-coin (per-coin breakdown)",
         },
+        wallet: {
+          type: "string",
+          description:
+            "Name of the wallet (optional, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description:
+            'HD account index or label, or "all" to add up every derived account (optional)',
+        },
       },
       required: [],
     },
@@ -285,9 +776,9 @@ Actions:
 
 Actions:
 - all: View most active tokens in the past 24 hours (default)
-- mine: View only your launched coins
+- mine: View only your launched coins (or those of another wallet, including watch-only ones)
 - top: View top 10 coins by trading volume
-- search: Search coins by token address`,
+- search: Search coins by token address (shows the full markdown description and the logo)`,
     inputSchema: {
       type: "object",
       properties: {
@@ -299,7 +790,17 @@ Actions:
         },
         query: {
           type: "string",
-          description: "Token address to search for (required for: search)",
+          description:
+            "Token address, address book label or ENS name to search for (required for: search)",
+        },
+        wallet: {
+          type: "string",
+          description:
+            "Wallet whose coins to show, e.g. a watch-only co-founder wallet (mine only, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description: "HD account index or label (mine only, optional)",
         },
       },
       required: [],
@@ -316,7 +817,7 @@ When you launch a coin, you receive 49% of the total supply vested over 6 months
 
 Actions:
 - check: View vesting status for a specific token (requires tokenAddress)
-- claim: Claim all available vested tokens (requires tokenAddress and password)
+- claim: Claim all available vested tokens (requires tokenAddress). The first call returns a preview and a confirmationId; call claim again with confirmationId and password to send
 
 The vesting schedule releases tokens linearly over 6 months from the coin launch date.`,
     inputSchema: {
@@ -330,45 +831,255 @@ The vesting schedule releases tokens linearly over 6 months from the coin launch
         },
         tokenAddress: {
           type: "string",
-          description: "The token contract address to check or claim from",
+          description:
+            "The token contract address (or address book label / ENS name) to check or claim from",
         },
         password: {
           type: "string",
-          description: "Wallet password (required for: claim)",
+          description:
+            "Wallet password (required to confirm a claim, unless the wallet is unlocked)",
+        },
+        confirmationId: {
+          type: "string",
+          description:
+            "ID returned by a claim preview; confirms and sends that claim",
+        },
+        wallet: {
+          type: "string",
+          description:
+            "Name of the wallet to use (optional, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description:
+            "HD account index or label that launched the token (optional)",
         },
       },
       required: ["action", "tokenAddress"],
     },
   },
-];
-
-// Handle list tools request
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: TOOLS };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  {
+    name: "distribute",
+    description: `Send an ERC-20 token (e.g. your claimed coin allocation) to many contributors at once.
 
-  try {
-    switch (name) {
-      case "info": {
-        const { action = "platform" } = args;
+Actions:
+- preview: Validate the recipients and save the distribution (requires tokenAddress, and recipients or file). Every address is checked (labels and ENS names work); duplicates and bad amounts are reported all at once. Returns every recipient's amount, the totals and a distributionId. Nothing is sent
+- send: Send a previewed distribution (requires distributionId, and password unless the wallet is unlocked). Transfers go out one at a time and progress is saved to disk after each, so an interrupted or paused run resumes with another send. IRREVERSIBLE
+- status: Per-recipient status and transaction hash of a distribution (distributionId), or a summary of all distributions
 
-        const infoData = {
-          platform: {
-            name: "Vibecoins",
-            website: "https://vibecoins.com",
-            tagline: "Launch your coin on Ethereum. Earn forever.",
-            description:
-              "Deploy your project's coin on Ethereum mainnet. Anyone can discover it, trade it, and support your project. You earn 1% of every trade, forever.",
-            howItWorks: [
-              "1. Create a wallet - this stores your private key locally and receives your trading fees",
-              "2. Launch your coin - choose a name and symbol, sign the transaction",
-              "3. Deployment - your coin is deployed to Ethereum mainnet with a bonding curve",
-              "4. Discovery - the metaverse can find and trade your coin immediately",
-              "5. Earn - you receive 1% of every trade, sent directly to your wallet",
+Recipients are { address, amount } (token units) or { address, weight } (relative shares such as percentages, with totalAmount). A file can be a CSV with lines "address,amount" (or a header "address,weight") or a JSON list of the same objects.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["preview", "send", "status"],
+          description: "Action to perform",
+        },
+        tokenAddress: {
+          type: "string",
+          description:
+            "Token to distribute: address, address book label or ENS name (required for: preview)",
+        },
+        recipients: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              address: { type: "string" },
+              amount: { type: "string" },
+              weight: { type: "string" },
+            },
+            required: ["address"],
+          },
+          description:
+            "Recipients with an amount or a weight each (preview, unless file is given)",
+        },
+        file: {
+          type: "string",
+          description: "Path to a CSV or JSON recipient list (preview only)",
+        },
+        totalAmount: {
+          type: "string",
+          description:
+            "Total to split by weight, in token units (required with weights)",
+        },
+        distributionId: {
+          type: "string",
+          description: "ID returned by preview (required for: send)",
+        },
+        password: {
+          type: "string",
+          description:
+            "Wallet password (required for send, unless the wallet is unlocked)",
+        },
+        wallet: {
+          type: "string",
+          description:
+            "Name of the wallet to send from (preview only, defaults to the active wallet)",
+        },
+        account: {
+          type: "string",
+          description: "HD account index or label to send from (optional)",
+        },
+      },
+      required: ["action"],
+    },
+  },
+  {
+    name: "address-book",
+    description: `Save addresses under labels so you never have to paste raw hex.
+
+Actions:
+- add: Save an address or ENS name under a label (requires label and address). ENS names are resolved and the address is pinned
+- list: Show all saved addresses
+- remove: Delete a label (requires label)
+
+Anywhere an address is asked for (wallet toAddress and tokenAddress, vesting tokenAddress, listings search), you can pass a saved label or an ENS name instead. Responses show the resolved checksummed address, and transfers warn when the recipient has never been used before.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["add", "list", "remove"],
+          description: "Action to perform",
+        },
+        label: {
+          type: "string",
+          description:
+            "Label, e.g. 'alice' or 'treasury' (required for: add, remove)",
+        },
+        address: {
+          type: "string",
+          description: "Address or ENS name to save (required for: add)",
+        },
+        note: {
+          type: "string",
+          description: "Free-text note kept with the address (add only)",
+        },
+      },
+      required: ["action"],
+    },
+  },
+  {
+    name: "policy",
+    description: `Show the local spending policy and how much of its 24h limit is used.
+
+The policy lives in ~/.vibecoin/policy.json and can only be changed by editing that file, not through this server. It can set maxEthPerTx, a rolling dailyEthLimit, allowedRecipients, allowedMethods (e.g. only collectFees and release) and switch off single actions ("actions": { "transfer": false }). Transfers, fee collection, vesting claims, signing and launches that break a rule are refused with an error naming the rule.`,
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+    },
+  },
+  {
+    name: "history",
+    description: `Local history of every transaction and signature this server has made.
+
+Each entry has a timestamp, type (transfer, token-transfer, sweep, distribute, collect-fees, vesting-claim, speed-up, cancel, launch), chain, transaction hash, nonce, amounts and status (pending, confirmed, failed, replaced, dropped; offline for launches made in offline mode). Messages and typed data signed with the wallet are listed too (sign-message, sign-typed-data; status signed), with their digest, and so are metadata updates (metadata-update; confirmed or failed once the API answers, offline in offline mode). Entries are kept in ~/.vibecoin/history.jsonl and never leave your machine.
+
+Pending entries are re-checked on-chain each time the history is listed, so you can see what actually confirmed. Results are newest first and paginated (limit, offset).`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          enum: [
+            "transfer",
+            "token-transfer",
+            "sweep",
+            "distribute",
+            "collect-fees",
+            "vesting-claim",
+            "speed-up",
+            "cancel",
+            "launch",
+            "sign-message",
+            "sign-typed-data",
+            "metadata-update",
+          ],
+          description: "Only show this kind of transaction (optional)",
+        },
+        status: {
+          type: "string",
+          enum: [
+            "pending",
+            "confirmed",
+            "failed",
+            "replaced",
+            "dropped",
+            "signed",
+          ],
+          description: "Only show transactions with this status (optional)",
+        },
+        wallet: {
+          type: "string",
+          description: "Only show transactions of this wallet (optional)",
+        },
+        address: {
+          type: "string",
+          description:
+            "Only show transactions sent from or to this address (optional)",
+        },
+        chainId: {
+          type: "number",
+          description: "Only show transactions on this chain (optional)",
+        },
+        since: {
+          type: "string",
+          description:
+            "Only show transactions from this ISO date on (optional)",
+        },
+        until: {
+          type: "string",
+          description: "Only show transactions up to this ISO date (optional)",
+        },
+        limit: {
+          type: "number",
+          description: "Page size (default 20, max 100)",
+        },
+        offset: {
+          type: "number",
+          description: "Number of entries to skip (default 0)",
+        },
+        refresh: {
+          type: "boolean",
+          description:
+            "Re-check pending transactions on-chain (default true; false lists offline)",
+        },
+      },
+      required: [],
+    },
+  },
+];
+
+// Handle list tools request
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return { tools: TOOLS };
+});
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    switch (name) {
+      case "info": {
+        const { action = "platform" } = args;
+
+        const infoData = {
+          platform: {
+            name: "Vibecoins",
+            website: "https://vibecoins.com",
+            tagline: "Launch your coin on Ethereum. Earn forever.",
+            description:
+              "Deploy your project's coin on Ethereum mainnet. Anyone can discover it, trade it, and support your project. You earn 1% of every trade, forever.",
+            howItWorks: [
+              "1. Create a wallet - this stores your private key locally and receives your trading fees",
+              "2. Launch your coin - choose a name and symbol, sign the transaction",
+              "3. Deployment - your coin is deployed to Ethereum mainnet with a bonding curve",
+              "4. Discovery - the metaverse can find and trade your coin immediately",
+              "5. Earn - you receive 1% of every trade, sent directly to your wallet",
             ],
             quickStart:
               "Use the 'wallet' tool to create a wallet, then 'launch' to deploy your coin.",
@@ -419,7 +1130,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "wallet": {
-        const { action, password } = args;
+        const { action, password, name: walletName } = args;
+
+        if (SIGNING_WALLET_ACTIONS.includes(action) && !args.confirmationId) {
+          const watchOnly = watchOnlyError(walletName);
+          if (watchOnly) {
+            return {
+              content: [{ type: "text", text: safeStringify(watchOnly) }],
+              isError: true,
+            };
+          }
+        }
 
         switch (action) {
           case "create": {
@@ -438,24 +1159,191 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 isError: true,
               };
             }
-            const result = await createWallet(password);
+            const result = await createWallet(password, walletName);
             return {
               content: [{ type: "text", text: safeStringify(result) }],
             };
           }
-          case "get": {
-            const result = getWalletAddress();
+          case "watch": {
+            const { address, label } = args;
+            if (!address) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "address (or an address book label / ENS name) is required to watch a wallet",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = await watchAddress(address, walletName, label);
             return {
               content: [{ type: "text", text: safeStringify(result) }],
             };
           }
-          case "balance": {
-            const result = await getBalance();
+          case "import": {
+            const {
+              privateKey,
+              mnemonic,
+              derivationPath,
+              keystorePath,
+              keystorePassword,
+              privateKeyEnv,
+              privateKeyFile,
+              signerUrl,
+              signerAddress,
+              signerFlavor,
+              force,
+            } = args;
+            // Keys kept outside wallet.json are never encrypted here
+            const keptElsewhere = privateKeyEnv || privateKeyFile || signerUrl;
+            if (!password && !keptElsewhere) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "Password required to import a wallet. It encrypts the imported key on this machine.",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = await importWallet(
+              password,
+              {
+                privateKey,
+                mnemonic,
+                derivationPath,
+                keystorePath,
+                keystorePassword,
+                privateKeyEnv,
+                privateKeyFile,
+                signerUrl,
+                signerAddress,
+                signerFlavor,
+              },
+              walletName,
+              force === true
+            );
             return {
               content: [{ type: "text", text: safeStringify(result) }],
             };
           }
-          case "transfer": {
+          case "export": {
+            if (!password) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "Password required to export a wallet",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const { outputPath, includeMnemonic } = args;
+            const result = await exportWallet(
+              password,
+              { outputPath, includeMnemonic: includeMnemonic === true },
+              walletName
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "list": {
+            const result = listWallets();
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "select": {
+            const result = selectWallet(walletName);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "rename": {
+            const { newName } = args;
+            if (!walletName || !newName) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "name and newName are required for rename",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = renameWallet(walletName, newName);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "change-password": {
+            const { newPassword, kdf } = args;
+            if (!password || !newPassword) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "password (current) and newPassword are required to change the password",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = changePassword(
+              password,
+              newPassword,
+              walletName,
+              kdf
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "delete": {
+            if (!walletName) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "name is required to delete a wallet",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = deleteWallet(walletName, password);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "unlock": {
             if (!password) {
               return {
                 content: [
@@ -463,13 +1351,69 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     type: "text",
                     text: safeStringify({
                       success: false,
-                      error: "Password required to transfer funds",
+                      error: "Password required to unlock the wallet",
                     }),
                   },
                 ],
                 isError: true,
               };
             }
+            const { ttlSeconds, maxOperations } = args;
+            const result = unlockWallet(password, walletName, {
+              ttlSeconds,
+              maxOperations,
+            });
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "lock": {
+            const result = lockWallet(walletName, args.all === true);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "get": {
+            const result = getWalletAddress(walletName, args.account);
+            if (result.success) {
+              result.session = getSessionStatus(walletName);
+            }
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "balance": {
+            const result = await getBalance(undefined, walletName);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "transfer": {
+            if (args.confirmationId) {
+              if (!password && !isWalletUnlocked(walletName)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: safeStringify({
+                        success: false,
+                        error:
+                          "Password required to transfer funds (or unlock the wallet first)",
+                      }),
+                    },
+                  ],
+                  isError: true,
+                };
+              }
+              const result = await confirmTransaction(
+                password,
+                args.confirmationId,
+                "transfer"
+              );
+              return {
+                content: [{ type: "text", text: safeStringify(result) }],
+              };
+            }
             const { toAddress, amount } = args;
             if (!toAddress || !amount) {
               return {
@@ -485,34 +1429,331 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 isError: true,
               };
             }
-            // Return warning first, requiring confirmation
-            const transferResult = await transfer(password, toAddress, amount);
-            if (transferResult.success) {
-              transferResult.warning =
-                "⚠️ This transfer is IRREVERSIBLE. The funds have been sent and cannot be recovered.";
+            // Preview only; nothing is sent until confirmed
+            const preview = await previewTransfer(
+              toAddress,
+              amount,
+              undefined,
+              walletName
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(preview) }],
+            };
+          }
+          case "token-balance": {
+            const { tokenAddress } = args;
+            if (!tokenAddress) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "tokenAddress is required for token-balance",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = await getTokenBalance(
+              tokenAddress,
+              undefined,
+              walletName,
+              args.account
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "token-transfer": {
+            if (args.confirmationId) {
+              if (!password && !isWalletUnlocked(walletName)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: safeStringify({
+                        success: false,
+                        error:
+                          "Password required to transfer tokens (or unlock the wallet first)",
+                      }),
+                    },
+                  ],
+                  isError: true,
+                };
+              }
+              const result = await confirmTransaction(
+                password,
+                args.confirmationId,
+                "token-transfer"
+              );
+              return {
+                content: [{ type: "text", text: safeStringify(result) }],
+              };
+            }
+            const { tokenAddress, toAddress, amount } = args;
+            if (!tokenAddress || !toAddress || !amount) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "tokenAddress, toAddress and amount are required for token-transfer",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const preview = await previewTokenTransfer(
+              tokenAddress,
+              toAddress,
+              amount,
+              undefined,
+              walletName,
+              args.account
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(preview) }],
+            };
+          }
+          case "sweep": {
+            if (args.confirmationId) {
+              if (!password && !isWalletUnlocked(walletName)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: safeStringify({
+                        success: false,
+                        error:
+                          "Password required to sweep the wallet (or unlock the wallet first)",
+                      }),
+                    },
+                  ],
+                  isError: true,
+                };
+              }
+              const result = await confirmTransaction(
+                password,
+                args.confirmationId,
+                "sweep"
+              );
+              return {
+                content: [{ type: "text", text: safeStringify(result) }],
+              };
+            }
+            if (!args.toAddress) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "toAddress is required for sweep",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
             }
+            const preview = await previewSweep(
+              args.toAddress,
+              {
+                tokens: args.tokens || [],
+                includeTokens: args.includeTokens === true,
+              },
+              undefined,
+              GRAPHQL_URL,
+              walletName,
+              args.account
+            );
             return {
-              content: [{ type: "text", text: safeStringify(transferResult) }],
+              content: [{ type: "text", text: safeStringify(preview) }],
             };
           }
           case "collect-fees": {
-            if (!password) {
+            if (args.confirmationId) {
+              if (!password && !isWalletUnlocked(walletName)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: safeStringify({
+                        success: false,
+                        error:
+                          "Password required to collect fees (or unlock the wallet first)",
+                      }),
+                    },
+                  ],
+                  isError: true,
+                };
+              }
+              const result = await confirmTransaction(
+                password,
+                args.confirmationId,
+                "collect-fees"
+              );
+              return {
+                content: [{ type: "text", text: safeStringify(result) }],
+              };
+            }
+            const preview = await previewCollectFees(
+              GRAPHQL_URL,
+              undefined,
+              walletName,
+              args.account
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(preview) }],
+            };
+          }
+          case "speed-up":
+          case "cancel": {
+            if (args.confirmationId) {
+              if (!password && !isWalletUnlocked(walletName)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: safeStringify({
+                        success: false,
+                        error: `Password required to ${action} a transaction (or unlock the wallet first)`,
+                      }),
+                    },
+                  ],
+                  isError: true,
+                };
+              }
+              const result = await confirmTransaction(
+                password,
+                args.confirmationId,
+                action
+              );
+              return {
+                content: [{ type: "text", text: safeStringify(result) }],
+              };
+            }
+            if (args.nonce === undefined) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: `nonce is required for ${action}. Find it with the history tool (status "pending").`,
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const preview = await previewReplacement(
+              action,
+              args.nonce,
+              undefined,
+              walletName,
+              args.account
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(preview) }],
+            };
+          }
+          case "sign":
+          case "sign-typed-data": {
+            if (!password && !isWalletUnlocked(walletName)) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "Password required to sign (or unlock the wallet first)",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result =
+              action === "sign"
+                ? await signMessage(
+                    password,
+                    args.message,
+                    walletName,
+                    args.account
+                  )
+                : await signTypedData(
+                    password,
+                    args.typedData,
+                    walletName,
+                    args.account
+                  );
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "verify": {
+            const result = verifySignature(args);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "derive": {
+            if (!password && !isWalletUnlocked(walletName)) {
               return {
                 content: [
                   {
                     type: "text",
                     text: safeStringify({
                       success: false,
-                      error: "Password required to collect fees",
+                      error:
+                        "Password required to derive an account (or unlock the wallet first)",
                     }),
                   },
                 ],
                 isError: true,
               };
             }
-            const collectResult = await collectFees(password, GRAPHQL_URL);
+            const result = deriveAccount(
+              password,
+              walletName,
+              args.index,
+              args.label
+            );
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "accounts": {
+            const result = listAccounts(walletName);
             return {
-              content: [{ type: "text", text: safeStringify(collectResult) }],
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "label": {
+            const { account, label } = args;
+            if (account === undefined || account === null || account === "") {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "account (index or label) is required for label",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = labelAccount(walletName, account, label);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
             };
           }
           default:
@@ -526,9 +1767,40 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               isError: true,
             };
         }
-      }
+      }
+
+      case "launch": {
+        if (args.action === "launch-status") {
+          const status = await getLaunchStatus(
+            args.tokenAddress,
+            undefined,
+            GRAPHQL_URL
+          );
+          return {
+            content: [{ type: "text", text: safeStringify(status) }],
+          };
+        }
+        if (args.action === "launch-resume") {
+          const result = await resumeLaunches({ launchId: args.launchId });
+          return {
+            content: [{ type: "text", text: safeStringify(result) }],
+          };
+        }
+        if (args.action && args.action !== "launch") {
+          return {
+            content: [
+              {
+                type: "text",
+                text: safeStringify({
+                  success: false,
+                  error: `Unknown launch action: ${args.action}. Use 'launch', 'launch-status' or 'launch-resume'.`,
+                }),
+              },
+            ],
+            isError: true,
+          };
+        }
 
-      case "launch": {
         const {
           password,
           name: coinName,
@@ -536,16 +1808,35 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           url,
           github,
           description,
+          longDescription,
+          twitter,
+          telegram,
+          discord,
+          tags,
+          logo,
+          wallet: walletName,
+          account,
+          dryRun,
         } = args;
 
-        if (!password) {
+        const watchOnly = watchOnlyError(walletName);
+        if (watchOnly) {
+          return {
+            content: [{ type: "text", text: safeStringify(watchOnly) }],
+            isError: true,
+          };
+        }
+
+        // A dry run signs nothing, so it needs no password
+        if (!dryRun && !password && !isWalletUnlocked(walletName)) {
           return {
             content: [
               {
                 type: "text",
                 text: safeStringify({
                   success: false,
-                  error: "Password required to sign launch request",
+                  error:
+                    "Password required to sign launch request (or unlock the wallet first)",
                 }),
               },
             ],
@@ -560,6 +1851,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           url,
           github,
           description,
+          longDescription,
+          twitter,
+          telegram,
+          discord,
+          tags,
+          logo,
+          walletName,
+          account,
+          dryRun: dryRun === true,
         });
 
         // Add API status info
@@ -572,18 +1872,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "my-fees": {
-        const { action = "summary" } = args;
-
-        // Get wallet address
-        const walletResult = getWalletAddress();
-        if (!walletResult.success || !walletResult.address) {
+        const { action = "summary", wallet: walletName, account } = args;
+
+        // Get the creator address(es): one wallet/account, or every account
+        const walletResult =
+          account === "all"
+            ? getWalletAddresses(walletName)
+            : getWalletAddress(walletName, account);
+        if (!walletResult.success) {
           return {
             content: [
               {
                 type: "text",
                 text: safeStringify({
                   success: false,
-                  error: "No wallet found. Create a wallet first.",
+                  error:
+                    walletName || account !== undefined
+                      ? walletResult.error
+                      : "No wallet found. Create a wallet first.",
                 }),
               },
             ],
@@ -591,40 +1897,46 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         }
 
-        const creatorAddress = walletResult.address.toLowerCase();
+        const creatorAddresses = walletResult.addresses
+          ? walletResult.addresses.map((a) => a.address)
+          : [walletResult.address];
 
         try {
-          // Query tokens created by this user with fee data, plus ETH price
-          const data = await queryGraphQL(
-            `
-            query MyFees($creator: String!) {
-              tokens(
-                where: { creator: $creator }
-                orderBy: "totalEthFeesAccumulated"
-                orderDirection: "desc"
-                limit: 100
-              ) {
-                items {
-                  id
-                  name
-                  symbol
-                  totalEthFeesAccumulated
-                  totalFeesCollected
-                  totalSwapCount
-                  totalVolumeUsd
+          // Query tokens created by each address with fee data, plus ETH price
+          let tokens = [];
+          let ethPrice = 0;
+          for (const creator of creatorAddresses) {
+            const data = await queryGraphQL(
+              `
+              query MyFees($creator: String!) {
+                tokens(
+                  where: { creator: $creator }
+                  orderBy: "totalEthFeesAccumulated"
+                  orderDirection: "desc"
+                  limit: 100
+                ) {
+                  items {
+                    id
+                    name
+                    symbol
+                    creator
+                    totalEthFeesAccumulated
+                    totalFeesCollected
+                    totalSwapCount
+                    totalVolumeUsd
+                  }
+                }
+                ethPriceCache(id: "current") {
+                  priceUsd
+                  lastUpdated
                 }
               }
-              ethPriceCache(id: "current") {
-                priceUsd
-                lastUpdated
-              }
-            }
-          `,
-            { creator: creatorAddress }
-          );
-
-          const tokens = data.tokens?.items || [];
-          const ethPrice = data.ethPriceCache?.priceUsd || 0;
+            `,
+              { creator: creator.toLowerCase() }
+            );
+            tokens = tokens.concat(data.tokens?.items || []);
+            ethPrice = ethPrice || data.ethPriceCache?.priceUsd || 0;
+          }
 
           // Helper to convert ETH (wei) to USD
           const ethToUsd = (weiAmount) => {
@@ -664,6 +1976,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             const result = {
               token: tokenName,
               tokenAddress: token.id,
+              creator: token.creator,
               totalEarned: formatEth(accumulated.toString()),
               collected: formatEth(collected.toString()),
               pending: formatEth(pending.toString()),
@@ -689,7 +2002,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               success: true,
               action: "by-coin",
               description: "Earnings breakdown by coin",
-              wallet: walletResult.address,
+              wallet: walletResult.address || creatorAddresses,
               coins: coinBreakdown,
               totalCoins: tokens.length,
             };
@@ -701,7 +2014,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               success: true,
               action: "summary",
               description: "Total earnings summary",
-              wallet: walletResult.address,
+              wallet: walletResult.address || creatorAddresses,
               totalEarned: formatEth(totalAccumulated.toString()),
               totalCollected: formatEth(totalCollected.toString()),
               pendingFees: formatEth(totalPending.toString()),
@@ -750,8 +2063,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           switch (action) {
             case "mine": {
-              // Get wallet address
-              const walletResult = getWalletAddress();
+              // Get wallet address (any wallet, including watch-only ones)
+              const walletResult = getWalletAddress(args.wallet, args.account);
               if (!walletResult.success || !walletResult.address) {
                 return {
                   content: [
@@ -759,7 +2072,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                       type: "text",
                       text: safeStringify({
                         success: false,
-                        error: "No wallet found. Create a wallet first.",
+                        error:
+                          args.wallet || args.account !== undefined
+                            ? walletResult.error
+                            : "No wallet found. Create a wallet first.",
                       }),
                     },
                   ],
@@ -789,6 +2105,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                       currentPriceUsd
                       totalEthFeesAccumulated
                       totalFeesCollected
+                      ${TOKEN_METADATA_FIELDS}
                     }
                   }
                 }
@@ -820,6 +2137,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                       totalSwapCount
                       lastSwapTimestamp
                       currentPriceUsd
+                      ${TOKEN_METADATA_FIELDS}
                     }
                   }
                 }
@@ -848,7 +2166,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 };
               }
 
-              const searchAddr = query.toLowerCase();
+              // The query can be an address, address book label or ENS name
+              const resolved = await resolveAddress(query);
+              if (!resolved.success) {
+                return {
+                  content: [{ type: "text", text: safeStringify(resolved) }],
+                  isError: true,
+                };
+              }
+              const searchAddr = resolved.address.toLowerCase();
               const data = await queryGraphQL(
                 `
                 query SearchToken($id: String!) {
@@ -864,6 +2190,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     currentPriceUsd
                     totalEthFeesAccumulated
                     totalFeesCollected
+                    ${TOKEN_DETAIL_FIELDS}
                   }
                 }
               `,
@@ -872,17 +2199,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
               tokens = data.token ? [data.token] : [];
               title = "SEARCH RESULTS";
-              description = `Query: ${query}`;
+              description =
+                resolved.source === "address"
+                  ? `Query: ${resolved.address}`
+                  : `Query: ${query} (${resolved.address})`;
               break;
             }
 
             case "all":
             default: {
               // Get tokens with activity in the last 24 hours, ordered by most recent activity
-              const data = await queryGraphQL(`
-                query ActiveTokens {
+              const data = await queryGraphQL(
+                `
+                query ActiveTokens($since: BigInt!) {
                   tokens(
-                    where: { lastSwapTimestamp_gte: "${twentyFourHoursAgo}" }
+                    where: { lastSwapTimestamp_gte: $since }
                     orderBy: "lastSwapTimestamp"
                     orderDirection: "desc"
                     limit: 20
@@ -897,10 +2228,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                       totalSwapCount
                       lastSwapTimestamp
                       currentPriceUsd
+                      ${TOKEN_METADATA_FIELDS}
                     }
                   }
                 }
-              `);
+              `,
+                { since: String(twentyFourHoursAgo) }
+              );
 
               tokens = data.tokens?.items || [];
               title = "MOST ACTIVE TOKENS (24H)";
@@ -924,7 +2258,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             output.push("  No tokens found.");
           } else {
             tokens.forEach((token, idx) => {
-              output.push(formatToken(token, idx));
+              output.push(formatToken(token, idx, action === "search"));
               output.push("");
             });
           }
@@ -952,9 +2286,16 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "vesting": {
-        const { action, tokenAddress, password } = args;
+        const {
+          action,
+          tokenAddress: tokenInput,
+          password,
+          wallet: walletName,
+          account,
+          confirmationId,
+        } = args;
 
-        if (!tokenAddress) {
+        if (!tokenInput) {
           return {
             content: [
               {
@@ -970,9 +2311,34 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         }
 
+        // Accept an address book label or ENS name for the token
+        const resolvedToken = await resolveAddress(tokenInput);
+        if (!resolvedToken.success) {
+          return {
+            content: [{ type: "text", text: safeStringify(resolvedToken) }],
+            isError: true,
+          };
+        }
+        const tokenAddress = resolvedToken.address;
+        const resolvedFrom =
+          resolvedToken.source === "address"
+            ? undefined
+            : {
+                input: resolvedToken.input,
+                source: resolvedToken.source,
+                label: resolvedToken.label,
+                ens: resolvedToken.ens,
+              };
+
         switch (action) {
           case "check": {
-            const result = await getVestingInfo(tokenAddress);
+            const result = await getVestingInfo(
+              tokenAddress,
+              undefined,
+              walletName,
+              account
+            );
+            result.resolvedFrom = resolvedFrom;
 
             // If successful, add USD values for the vesting amounts
             if (result.success && result.raw) {
@@ -1027,21 +2393,172 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             };
           }
           case "claim": {
-            if (!password) {
+            if (confirmationId) {
+              if (!password && !isWalletUnlocked(walletName)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: safeStringify({
+                        success: false,
+                        error:
+                          "Password required to claim vested tokens (or unlock the wallet first)",
+                      }),
+                    },
+                  ],
+                  isError: true,
+                };
+              }
+              const result = await confirmTransaction(
+                password,
+                confirmationId,
+                "vesting-claim"
+              );
+              return {
+                content: [{ type: "text", text: safeStringify(result) }],
+              };
+            }
+            const watchOnly = watchOnlyError(walletName);
+            if (watchOnly) {
+              return {
+                content: [{ type: "text", text: safeStringify(watchOnly) }],
+                isError: true,
+              };
+            }
+            const preview = await previewClaim(
+              tokenAddress,
+              undefined,
+              walletName,
+              account
+            );
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: safeStringify({ ...preview, resolvedFrom }),
+                },
+              ],
+            };
+          }
+          default:
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: safeStringify({
+                    error: `Unknown vesting action: ${action}. Use 'check' or 'claim'.`,
+                  }),
+                },
+              ],
+              isError: true,
+            };
+        }
+      }
+
+      case "address-book": {
+        const { action, label, address, note } = args;
+        let result;
+        switch (action) {
+          case "add":
+            result = await addContact(label, address, note);
+            break;
+          case "list":
+            result = listContacts();
+            break;
+          case "remove":
+            result = removeContact(label);
+            break;
+          default:
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: safeStringify({
+                    error: `Unknown address-book action: ${action}. Use 'add', 'list' or 'remove'.`,
+                  }),
+                },
+              ],
+              isError: true,
+            };
+        }
+        return {
+          content: [{ type: "text", text: safeStringify(result) }],
+        };
+      }
+
+      case "policy": {
+        const result = getPolicyStatus();
+        return {
+          content: [{ type: "text", text: safeStringify(result) }],
+        };
+      }
+
+      case "launch-batch": {
+        const { action, password, batchId } = args;
+
+        switch (action) {
+          case "preview": {
+            if (!args.file) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "file is required to preview a batch launch",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = await previewBatchLaunch({
+              file: args.file,
+              walletName: args.wallet,
+              account: args.account,
+            });
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "launch": {
+            if (!batchId) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "batchId is required to launch a batch",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const wallet = getBatchStatus(batchId).wallet;
+            if (!password && !isWalletUnlocked(wallet)) {
               return {
                 content: [
                   {
                     type: "text",
                     text: safeStringify({
                       success: false,
-                      error: "Password required to claim vested tokens",
+                      error:
+                        "Password required to sign the launches (or unlock the wallet first)",
                     }),
                   },
                 ],
                 isError: true,
               };
             }
-            const result = await claimVestedTokens(password, tokenAddress);
+            const result = await runBatchLaunch(password, batchId);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "status": {
+            const result = getBatchStatus(batchId);
             return {
               content: [{ type: "text", text: safeStringify(result) }],
             };
@@ -1052,7 +2569,96 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 {
                   type: "text",
                   text: safeStringify({
-                    error: `Unknown vesting action: ${action}. Use 'check' or 'claim'.`,
+                    error: `Unknown launch-batch action: ${action}. Use 'preview', 'launch' or 'status'.`,
+                  }),
+                },
+              ],
+              isError: true,
+            };
+        }
+      }
+
+      case "distribute": {
+        const { action, password, distributionId } = args;
+
+        switch (action) {
+          case "preview": {
+            if (!args.tokenAddress || (!args.recipients && !args.file)) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "tokenAddress and recipients (or a file) are required to preview a distribution",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = await previewDistribution({
+              tokenAddress: args.tokenAddress,
+              recipients: args.recipients,
+              file: args.file,
+              totalAmount: args.totalAmount,
+              walletName: args.wallet,
+              account: args.account,
+            });
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "send": {
+            if (!distributionId) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error: "distributionId is required to send",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const wallet = getDistributionStatus(distributionId).wallet;
+            if (!password && !isWalletUnlocked(wallet)) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: safeStringify({
+                      success: false,
+                      error:
+                        "Password required to send the distribution (or unlock the wallet first)",
+                    }),
+                  },
+                ],
+                isError: true,
+              };
+            }
+            const result = await runDistribution(password, distributionId);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          case "status": {
+            const result = getDistributionStatus(distributionId);
+            return {
+              content: [{ type: "text", text: safeStringify(result) }],
+            };
+          }
+          default:
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: safeStringify({
+                    error: `Unknown distribute action: ${action}. Use 'preview', 'send' or 'status'.`,
                   }),
                 },
               ],
@@ -1061,6 +2667,54 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
+      case "update-metadata": {
+        const { password, wallet: walletName } = args;
+
+        const watchOnly = watchOnlyError(walletName);
+        if (watchOnly) {
+          return {
+            content: [{ type: "text", text: safeStringify(watchOnly) }],
+            isError: true,
+          };
+        }
+
+        if (!password && !isWalletUnlocked(walletName)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: safeStringify({
+                  success: false,
+                  error:
+                    "Password required to sign the update (or unlock the wallet first)",
+                }),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        const result = await updateMetadata({
+          password,
+          tokenAddress: args.tokenAddress,
+          url: args.url,
+          github: args.github,
+          description: args.description,
+          walletName,
+          account: args.account,
+        });
+        return {
+          content: [{ type: "text", text: safeStringify(result) }],
+        };
+      }
+
+      case "history": {
+        const result = await listHistory(args);
+        return {
+          content: [{ type: "text", text: safeStringify(result) }],
+        };
+      }
+
       default:
         return {
           content: [
@@ -1085,6 +2739,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// Lock all wallets when the client disconnects or the process is stopped
+server.onclose = () => {
+  lockWallet(undefined, true);
+};
+
+for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+  process.on(signal, () => {
+    lockWallet(undefined, true);
+    process.exit(0);
+  });
+}
+
 // Start the server
 async function main() {
   const transport = new StdioServerTransport();
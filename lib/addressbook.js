@@ -0,0 +1,220 @@
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from "./storage.js";
+import { hasSentTo } from "./history.js";
+
+const ADDRESS_BOOK_FILE = path.join(DATA_DIR, "addressbook.json");
+const ADDRESS_BOOK_VERSION = 1;
+
+// ENS names resolve against this RPC unless the caller passes one
+const DEFAULT_RPC_URL =
+  process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+// Labels must not look like addresses or ENS names, so resolution is unambiguous
+const CONTACT_LABEL_PATTERN = /^[A-Za-z][A-Za-z0-9 _-]{0,31}$/;
+
+// Stored as { version, contacts: { lowercased label: { label, address, ens?, note?, createdAt } } }
+function loadBook() {
+  if (!fs.existsSync(ADDRESS_BOOK_FILE)) {
+    return { version: ADDRESS_BOOK_VERSION, contacts: {} };
+  }
+  return JSON.parse(fs.readFileSync(ADDRESS_BOOK_FILE, "utf8"));
+}
+
+function saveBook(book) {
+  ensureDataDir();
+  writeFileAtomic(ADDRESS_BOOK_FILE, JSON.stringify(book, null, 2));
+}
+
+function isEnsName(input) {
+  return input.includes(".") && !input.startsWith("0x");
+}
+
+async function resolveEns(name, provider) {
+  let address;
+  try {
+    address = await provider.resolveName(name);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not resolve ENS name "${name}": ${
+        err.shortMessage || err.message
+      }`,
+    };
+  }
+  if (!address) {
+    return {
+      success: false,
+      error: `ENS name "${name}" does not resolve to an address`,
+    };
+  }
+  return { success: true, address };
+}
+
+/**
+ * Warnings for sending to an address: it has no on-chain activity at all
+ * (often a typo), or this server has never sent to it before
+ */
+async function usageWarnings(address, provider) {
+  const warnings = [];
+  const [nonce, code, balance] = await Promise.all([
+    provider.getTransactionCount(address),
+    provider.getCode(address),
+    provider.getBalance(address),
+  ]);
+  if (nonce === 0 && code === "0x" && balance === 0n) {
+    warnings.push(
+      `${address} has never been used on-chain (no transactions, no balance, no code). Make sure it is the right address.`
+    );
+  } else if (!hasSentTo(address)) {
+    warnings.push(`You have never sent anything to ${address} before.`);
+  }
+  return warnings;
+}
+
+/**
+ * Resolve an address, address book label or ENS name to a checksummed
+ * address. With checkUsage, also warn about addresses never used before.
+ * Returns { success, address, input, source: "address"|"label"|"ens", label?, ens?, warnings? }
+ */
+export async function resolveAddress(
+  input,
+  rpcUrl = DEFAULT_RPC_URL,
+  { checkUsage = false } = {}
+) {
+  if (typeof input !== "string" || !input.trim()) {
+    return {
+      success: false,
+      error: "An address, label or ENS name is required",
+    };
+  }
+  const value = input.trim();
+
+  let resolved;
+  let provider;
+  if (ethers.isAddress(value)) {
+    resolved = { address: ethers.getAddress(value), source: "address" };
+  } else {
+    const contact = loadBook().contacts[value.toLowerCase()];
+    if (contact) {
+      resolved = {
+        address: contact.address,
+        source: "label",
+        label: contact.label,
+        ens: contact.ens,
+      };
+    } else if (isEnsName(value)) {
+      provider = new ethers.JsonRpcProvider(rpcUrl);
+      const ens = await resolveEns(value, provider);
+      if (!ens.success) {
+        return ens;
+      }
+      resolved = { address: ens.address, source: "ens", ens: value };
+    } else {
+      return {
+        success: false,
+        error: `"${value}" is not an address, a label in the address book, or an ENS name`,
+      };
+    }
+  }
+
+  const result = { success: true, input: value, ...resolved };
+  if (checkUsage) {
+    try {
+      result.warnings = await usageWarnings(
+        result.address,
+        provider || new ethers.JsonRpcProvider(rpcUrl)
+      );
+    } catch (err) {
+      result.warnings = [
+        `Could not check whether ${result.address} was used before: ${err.message}`,
+      ];
+    }
+  }
+  return result;
+}
+
+/**
+ * Save an address (or the address an ENS name resolves to now) under a label
+ */
+export async function addContact(
+  label,
+  address,
+  note,
+  rpcUrl = DEFAULT_RPC_URL
+) {
+  if (!label || !CONTACT_LABEL_PATTERN.test(label)) {
+    return {
+      success: false,
+      error:
+        "Invalid label. Use 1-32 letters, digits, spaces, '-' or '_', starting with a letter.",
+    };
+  }
+  if (!address) {
+    return { success: false, error: "address is required" };
+  }
+
+  const book = loadBook();
+  const key = label.toLowerCase();
+  if (book.contacts[key]) {
+    return {
+      success: false,
+      error: `"${book.contacts[key].label}" is already in the address book (${book.contacts[key].address}). Remove it first to change it.`,
+    };
+  }
+
+  let contact;
+  if (ethers.isAddress(address)) {
+    contact = { label, address: ethers.getAddress(address) };
+  } else if (isEnsName(address)) {
+    let ens;
+    try {
+      ens = await resolveEns(address, new ethers.JsonRpcProvider(rpcUrl));
+    } catch (err) {
+      ens = { success: false, error: err.message };
+    }
+    if (!ens.success) {
+      return ens;
+    }
+    // The resolved address is pinned: a later change of the ENS record
+    // does not silently change where this label sends funds
+    contact = { label, address: ens.address, ens: address };
+  } else {
+    return {
+      success: false,
+      error: "address must be a hex address or an ENS name",
+    };
+  }
+
+  if (note) {
+    contact.note = note;
+  }
+  contact.createdAt = new Date().toISOString();
+
+  book.contacts[key] = contact;
+  saveBook(book);
+  return { success: true, contact };
+}
+
+export function listContacts() {
+  const contacts = Object.values(loadBook().contacts).sort((a, b) =>
+    a.label.localeCompare(b.label)
+  );
+  return { success: true, count: contacts.length, contacts };
+}
+
+export function removeContact(label) {
+  const book = loadBook();
+  const key = (label || "").toLowerCase();
+  const contact = book.contacts[key];
+  if (!contact) {
+    return {
+      success: false,
+      error: `"${label}" is not in the address book`,
+    };
+  }
+  delete book.contacts[key];
+  saveBook(book);
+  return { success: true, removed: contact };
+}
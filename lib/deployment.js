@@ -0,0 +1,295 @@
+import { ethers } from "ethers";
+import { waitForReceipt } from "./transactions.js";
+import {
+  ERC20_ABI,
+  VESTING_MANAGER_ADDRESS,
+  VESTING_MANAGER_ABI,
+} from "./vesting.js";
+import { findLaunch, updateTransaction } from "./history.js";
+import { queryGraphQL } from "./indexer.js";
+import { resolveAddress } from "./addressbook.js";
+import { OFFLINE_MODE } from "./offline.js";
+
+const DEFAULT_RPC_URL =
+  process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+// Every launch mints 1 billion tokens
+const LAUNCH_SUPPLY = 1000000000n;
+
+const TRANSFER_EVENT = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+/**
+ * Check on-chain that a launch deployed what was asked for, instead of
+ * trusting the addresses the API returned:
+ * - the deployment transaction was mined, succeeded and its logs contain
+ *   events of the token (its mint)
+ * - the token address has code
+ * - name(), symbol() and totalSupply() match the request
+ * - the vesting manager holds a schedule for the creator
+ *
+ * Waits for the transaction up to TX_WAIT_TIMEOUT_SECONDS when wait is
+ * set. Status: verified, mismatch (a check failed), failed (the
+ * transaction reverted), pending or offline.
+ */
+export async function verifyDeployment(
+  { tokenAddress, transactionHash, name, symbol, creator },
+  rpcUrl = DEFAULT_RPC_URL,
+  { wait = true } = {}
+) {
+  if (OFFLINE_MODE) {
+    return {
+      success: true,
+      status: "offline",
+      verified: false,
+      tokenAddress,
+      message:
+        "Launched in offline mode: the token only exists locally, there is nothing to verify on-chain.",
+    };
+  }
+
+  try {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const checks = [];
+    const check = (name, ok, detail) =>
+      checks.push({ check: name, ok, detail });
+
+    let receipt = null;
+    if (transactionHash) {
+      const tx = await provider.getTransaction(transactionHash);
+      receipt =
+        tx && wait
+          ? await waitForReceipt(tx)
+          : await provider.getTransactionReceipt(transactionHash);
+      if (!receipt) {
+        return {
+          success: true,
+          status: "pending",
+          verified: false,
+          tokenAddress,
+          transactionHash,
+          message: tx
+            ? "The deployment transaction is not mined yet. Check again later with launch-status."
+            : "The RPC endpoint does not know the deployment transaction (yet). Check again later with launch-status.",
+        };
+      }
+      if (receipt.status !== 1) {
+        return {
+          success: true,
+          status: "failed",
+          verified: false,
+          tokenAddress,
+          transactionHash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          message: "The deployment transaction reverted",
+        };
+      }
+
+      let minted = 0n;
+      const tokenLogs = receipt.logs.filter(
+        (log) => log.address.toLowerCase() === tokenAddress.toLowerCase()
+      );
+      for (const log of tokenLogs) {
+        const event = TRANSFER_EVENT.parseLog(log);
+        if (event?.args.from === ethers.ZeroAddress) {
+          minted += event.args.value;
+        }
+      }
+      check(
+        "receipt",
+        tokenLogs.length > 0,
+        tokenLogs.length > 0
+          ? `Mined in block ${receipt.blockNumber}; the token emitted ${tokenLogs.length} event(s) in it (${minted} base units minted)`
+          : "The transaction logs contain no event from the token: this transaction did not deploy it"
+      );
+    } else {
+      check(
+        "receipt",
+        null,
+        "No deployment transaction hash is known; skipped"
+      );
+    }
+
+    const code = await provider.getCode(tokenAddress);
+    check(
+      "code",
+      code !== "0x",
+      code !== "0x"
+        ? `${(code.length - 2) / 2} bytes of code`
+        : "There is no contract at the token address"
+    );
+
+    if (code !== "0x") {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      const read = (call) =>
+        call.catch((err) => new Error(err.shortMessage || err.message));
+      const [actualName, actualSymbol, decimals, totalSupply] =
+        await Promise.all([
+          read(token.name()),
+          read(token.symbol()),
+          read(token.decimals()),
+          read(token.totalSupply()),
+        ]);
+      const compare = (label, actual, expected) =>
+        check(
+          label,
+          !(actual instanceof Error) && actual === expected,
+          actual instanceof Error
+            ? `${label}() failed: ${actual.message}`
+            : `${label}() is ${JSON.stringify(String(actual))}${
+                actual === expected
+                  ? ""
+                  : `, expected ${JSON.stringify(String(expected))}`
+              }`
+        );
+      compare("name", actualName, name);
+      compare("symbol", actualSymbol, symbol);
+      compare(
+        "totalSupply",
+        totalSupply,
+        decimals instanceof Error
+          ? decimals
+          : LAUNCH_SUPPLY * 10n ** BigInt(decimals)
+      );
+    }
+
+    const vestingManager = new ethers.Contract(
+      VESTING_MANAGER_ADDRESS,
+      VESTING_MANAGER_ABI,
+      provider
+    );
+    try {
+      const schedule = await vestingManager.getSchedule(creator, tokenAddress);
+      check(
+        "vesting",
+        schedule[0] > 0n,
+        schedule[0] > 0n
+          ? `Schedule of ${
+              schedule[0]
+            } base units for ${creator}, ending ${new Date(
+              Number(schedule[4]) * 1000
+            ).toISOString()}`
+          : `The vesting manager has no schedule for ${creator}`
+      );
+    } catch (err) {
+      check(
+        "vesting",
+        false,
+        `Could not read the vesting schedule: ${
+          err.shortMessage || err.message
+        }`
+      );
+    }
+
+    const verified = checks.every((c) => c.ok !== false);
+    return {
+      success: true,
+      status: verified ? "verified" : "mismatch",
+      verified,
+      tokenAddress,
+      transactionHash: transactionHash || null,
+      blockNumber: receipt?.blockNumber,
+      gasUsed: receipt?.gasUsed.toString(),
+      checks,
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not verify the deployment: ${err.message}`,
+      tokenAddress,
+      transactionHash,
+    };
+  }
+}
+
+/**
+ * Re-run the deployment checks for a launched token (address, label or ENS
+ * name). What was asked for comes from this server's launch history, or
+ * from the indexer for tokens launched elsewhere.
+ */
+export async function getLaunchStatus(
+  tokenInput,
+  rpcUrl = DEFAULT_RPC_URL,
+  graphqlUrl
+) {
+  if (!tokenInput) {
+    return { success: false, error: "tokenAddress is required" };
+  }
+  const resolved = await resolveAddress(tokenInput, rpcUrl);
+  if (!resolved.success) {
+    return resolved;
+  }
+  const tokenAddress = resolved.address;
+
+  const launch = findLaunch(tokenAddress);
+  let expected = launch && {
+    tokenAddress,
+    transactionHash: launch.hash,
+    name: launch.name,
+    symbol: launch.symbol,
+    creator: launch.from,
+  };
+  if (!expected?.name || !expected?.symbol) {
+    let indexed = null;
+    try {
+      const data = await queryGraphQL(
+        graphqlUrl,
+        `
+          query LaunchedToken($id: String!) {
+            token(id: $id) {
+              name
+              symbol
+              creator
+            }
+          }
+        `,
+        { id: tokenAddress.toLowerCase() }
+      );
+      indexed = data?.token;
+    } catch (err) {
+      return {
+        success: false,
+        error: `Could not look the token up on the indexer: ${err.message}`,
+      };
+    }
+    if (!indexed) {
+      return {
+        success: false,
+        error: `${tokenAddress} was not launched from this server and is not on the indexer`,
+      };
+    }
+    expected = {
+      tokenAddress,
+      transactionHash: launch?.hash,
+      name: indexed.name,
+      symbol: indexed.symbol,
+      creator: launch?.from || ethers.getAddress(indexed.creator),
+    };
+  }
+
+  const result = await verifyDeployment(expected, rpcUrl, { wait: false });
+
+  // Settle the history entry if the launch was still pending there
+  if (
+    launch?.status === "pending" &&
+    ["verified", "mismatch", "failed"].includes(result.status) &&
+    result.blockNumber !== undefined
+  ) {
+    updateTransaction(launch.id, {
+      status: result.status === "failed" ? "failed" : "confirmed",
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+    });
+  }
+
+  return {
+    ...result,
+    expected: {
+      name: expected.name,
+      symbol: expected.symbol,
+      creator: expected.creator,
+    },
+  };
+}
@@ -0,0 +1,811 @@
+import { ethers } from "ethers";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from "./storage.js";
+import {
+  getWalletAddress,
+  getDecryptedWallet,
+  watchOnlyError,
+} from "./wallet.js";
+import {
+  getChain,
+  isNonceError,
+  planTransaction,
+  sendPlannedTransaction,
+  waitForReceipt,
+} from "./transactions.js";
+import { ERC20_ABI } from "./vesting.js";
+import { getTokenMetadata } from "./tokens.js";
+import { resolveAddress } from "./addressbook.js";
+import { recordTransaction, updateTransaction } from "./history.js";
+import { checkAction, checkPlan } from "./policy.js";
+
+// One file per distribution, rewritten after every transfer so an
+// interrupted run can be resumed where it stopped
+const DISTRIBUTIONS_DIR = path.join(DATA_DIR, "distributions");
+
+const DEFAULT_RPC_URL =
+  process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+const MAX_RECIPIENTS = 500;
+
+// Distributions being sent by this process, so one can't run twice at once
+const running = new Set();
+
+function distributionFile(id) {
+  return path.join(DISTRIBUTIONS_DIR, `${id}.json`);
+}
+
+function loadDistribution(id) {
+  if (typeof id !== "string" || !/^[0-9a-f]{16}$/.test(id)) {
+    return null;
+  }
+  const file = distributionFile(id);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveDistribution(distribution) {
+  ensureDataDir();
+  if (!fs.existsSync(DISTRIBUTIONS_DIR)) {
+    fs.mkdirSync(DISTRIBUTIONS_DIR, { recursive: true, mode: 0o700 });
+  }
+  distribution.updatedAt = new Date().toISOString();
+  writeFileAtomic(
+    distributionFile(distribution.id),
+    JSON.stringify(distribution, null, 2)
+  );
+}
+
+/**
+ * Parse "address,amount" lines. A header row names the second column:
+ * "amount" for token amounts, or "weight" / "percent" / "share" for
+ * relative shares. Without a header, values ending in % are weights.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let column = null;
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+    const [first = "", second = ""] = line
+      .split(",")
+      .map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+
+    if (rows.length === 0 && !column && isNaN(parseFloat(second))) {
+      const name = second.toLowerCase();
+      if (name === "amount") {
+        column = "amount";
+      } else if (["weight", "percent", "percentage", "share"].includes(name)) {
+        column = "weight";
+      } else {
+        throw new Error(
+          `Line ${
+            i + 1
+          }: unknown column "${second}". Use amount, weight or percent`
+        );
+      }
+      continue;
+    }
+
+    const key = column || (second.endsWith("%") ? "weight" : "amount");
+    rows.push({ address: first, [key]: second, line: i + 1 });
+  }
+  return rows;
+}
+
+function readRecipientFile(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Recipient file not found: ${resolved}`);
+  }
+  const text = fs.readFileSync(resolved, "utf8");
+  if (!resolved.toLowerCase().endsWith(".json")) {
+    return { recipients: parseCsv(text) };
+  }
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? { recipients: data } : data;
+}
+
+/**
+ * Validate every row and turn amounts or weights into exact token units.
+ * Weights are relative shares of totalAmount; the rounding remainder (a
+ * few base units) goes one unit each to the first recipients.
+ */
+async function buildRecipients(rows, totalAmount, decimals, from, rpcUrl) {
+  const errors = [];
+  const byWeight = rows.some((row) => row.weight !== undefined);
+  if (byWeight && rows.some((row) => row.amount !== undefined)) {
+    return {
+      success: false,
+      error: "Give every recipient either an amount or a weight, not a mix",
+    };
+  }
+
+  const recipients = [];
+  const seen = new Map();
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const where = row.line ? `line ${row.line}` : `recipient ${i + 1}`;
+    const input = String(row.address ?? "").trim();
+
+    const resolved = await resolveAddress(input, rpcUrl);
+    if (!resolved.success) {
+      errors.push({ row: where, input, error: resolved.error });
+      continue;
+    }
+    if (resolved.address === from) {
+      errors.push({ row: where, input, error: "is the sending wallet" });
+      continue;
+    }
+    if (seen.has(resolved.address)) {
+      errors.push({
+        row: where,
+        input,
+        error: `duplicate of ${seen.get(resolved.address)}`,
+      });
+      continue;
+    }
+    seen.set(resolved.address, where);
+
+    const value = String((byWeight ? row.weight : row.amount) ?? "").trim();
+    let units;
+    try {
+      units = byWeight
+        ? ethers.parseUnits(value.replace(/%$/, ""), 18)
+        : ethers.parseUnits(value, decimals);
+    } catch {
+      units = null;
+    }
+    if (!units || units <= 0n) {
+      errors.push({
+        row: where,
+        input,
+        error: `invalid ${byWeight ? "weight" : "amount"} "${value}"`,
+      });
+      continue;
+    }
+
+    recipients.push({
+      row: where,
+      input,
+      address: resolved.address,
+      label: resolved.label,
+      ens: resolved.ens,
+      units,
+    });
+  }
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: `${errors.length} invalid recipient(s). Nothing was planned.`,
+      errors,
+    };
+  }
+
+  if (byWeight) {
+    if (!totalAmount) {
+      return {
+        success: false,
+        error: "totalAmount is required when recipients have weights",
+      };
+    }
+    let rawTotal;
+    try {
+      rawTotal = ethers.parseUnits(String(totalAmount), decimals);
+    } catch {
+      return { success: false, error: `Invalid totalAmount: ${totalAmount}` };
+    }
+    const weightSum = recipients.reduce((sum, r) => sum + r.units, 0n);
+    let assigned = 0n;
+    for (const r of recipients) {
+      r.raw = (rawTotal * r.units) / weightSum;
+      r.weight = ethers.formatUnits(r.units, 18);
+      assigned += r.raw;
+    }
+    for (let i = 0; assigned < rawTotal; i++) {
+      recipients[i].raw += 1n;
+      assigned += 1n;
+    }
+
+    // A weight too small for the total rounds down to nothing: a 0-token
+    // transfer would only cost gas
+    const empty = recipients.filter((r) => r.raw === 0n);
+    if (empty.length > 0) {
+      return {
+        success: false,
+        error: `${empty.length} recipient(s) would receive 0 tokens: their weight is too small for a total of ${totalAmount}. Raise their weight or the total, or leave them out. Nothing was planned.`,
+        errors: empty.map((r) => ({
+          row: r.row,
+          input: r.input,
+          error: `weight ${r.weight} rounds down to 0 tokens`,
+        })),
+      };
+    }
+  } else {
+    for (const r of recipients) {
+      r.raw = r.units;
+    }
+  }
+
+  return {
+    success: true,
+    recipients: recipients.map(({ row, units, raw, ...r }) => ({
+      ...r,
+      amount: ethers.formatUnits(raw, decimals),
+      rawAmount: raw.toString(),
+      status: "queued",
+    })),
+  };
+}
+
+// The transfers still to make, in the shape the spending policy checks
+function remainingTxs(distribution) {
+  const erc20 = new ethers.Interface(ERC20_ABI);
+  return distribution.recipients
+    .filter((r) => r.status !== "confirmed")
+    .map((r) => ({
+      description: `Send ${r.amount} ${distribution.token.symbol} to ${r.address}`,
+      from: distribution.from,
+      to: distribution.token.address,
+      value: 0n,
+      data: erc20.encodeFunctionData("transfer", [
+        r.address,
+        BigInt(r.rawAmount),
+      ]),
+    }));
+}
+
+/**
+ * Per-recipient status and totals of a distribution
+ */
+function distributionReport(distribution) {
+  const count = (status) =>
+    distribution.recipients.filter((r) => r.status === status).length;
+  const sent = distribution.recipients
+    .filter((r) => r.status === "confirmed")
+    .reduce((sum, r) => sum + BigInt(r.rawAmount), 0n);
+
+  return {
+    success: true,
+    distributionId: distribution.id,
+    status: distribution.status,
+    wallet: distribution.wallet,
+    from: distribution.from,
+    chain: distribution.chain,
+    token: distribution.token,
+    totals: {
+      recipients: distribution.recipients.length,
+      amount: distribution.totalAmount,
+      sent: ethers.formatUnits(sent, distribution.token.decimals),
+      confirmed: count("confirmed"),
+      pending: count("pending"),
+      failed: count("failed") + count("error"),
+      unknown: count("unknown"),
+      queued: count("queued"),
+    },
+    recipients: distribution.recipients.map((r) => ({
+      address: r.address,
+      label: r.label,
+      amount: r.amount,
+      status: r.status,
+      transactionHash: r.hash,
+      blockNumber: r.blockNumber,
+      error: r.error,
+    })),
+    createdAt: distribution.createdAt,
+    updatedAt: distribution.updatedAt,
+  };
+}
+
+/**
+ * Validate a recipient list (inline, or a CSV/JSON file) and save it as a
+ * new distribution of an ERC-20 token. Nothing is sent: the preview shows
+ * every recipient and the totals, and returns the distributionId to send.
+ */
+export async function previewDistribution({
+  tokenAddress,
+  recipients,
+  file,
+  totalAmount,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account,
+}) {
+  const allowed = checkAction("distribute");
+  if (!allowed.success) {
+    return allowed;
+  }
+  const watchOnly = watchOnlyError(walletName);
+  if (watchOnly) {
+    return watchOnly;
+  }
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  const from = walletResult.address;
+
+  let rows = recipients;
+  try {
+    if (file) {
+      const loaded = readRecipientFile(file);
+      rows = loaded.recipients;
+      totalAmount = totalAmount ?? loaded.totalAmount;
+    }
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not read recipients: ${err.message}`,
+    };
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return {
+      success: false,
+      error:
+        "Give recipients (a list of { address, amount | weight }) or a CSV/JSON file",
+    };
+  }
+  if (rows.length > MAX_RECIPIENTS) {
+    return {
+      success: false,
+      error: `At most ${MAX_RECIPIENTS} recipients per distribution (got ${rows.length}). Split the list.`,
+    };
+  }
+
+  try {
+    const resolvedToken = await resolveAddress(tokenAddress, rpcUrl);
+    if (!resolvedToken.success) {
+      return resolvedToken;
+    }
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const token = new ethers.Contract(
+      resolvedToken.address,
+      ERC20_ABI,
+      provider
+    );
+    const metadata = await getTokenMetadata(token);
+
+    const built = await buildRecipients(
+      rows,
+      totalAmount,
+      metadata.decimals,
+      from,
+      rpcUrl
+    );
+    if (!built.success) {
+      return built;
+    }
+
+    const rawTotal = built.recipients.reduce(
+      (sum, r) => sum + BigInt(r.rawAmount),
+      0n
+    );
+    const balance = await token.balanceOf(from);
+    if (balance < rawTotal) {
+      return {
+        success: false,
+        error: `Insufficient balance. You have ${ethers.formatUnits(
+          balance,
+          metadata.decimals
+        )} ${metadata.symbol} but the distribution sends ${ethers.formatUnits(
+          rawTotal,
+          metadata.decimals
+        )} ${metadata.symbol}`,
+      };
+    }
+
+    // Gas for every transfer, estimated from the first one at today's fees
+    const sample = await planTransaction(provider, {
+      from,
+      to: resolvedToken.address,
+      data: token.interface.encodeFunctionData("transfer", [
+        built.recipients[0].address,
+        BigInt(built.recipients[0].rawAmount),
+      ]),
+    });
+    const gasEstimate =
+      sample.gasLimit * sample.maxFeePerGas * BigInt(built.recipients.length);
+    const ethBalance = await provider.getBalance(from);
+
+    const distribution = {
+      version: 1,
+      id: crypto.randomBytes(8).toString("hex"),
+      status: "previewed",
+      wallet: walletResult.name,
+      account: walletResult.account ?? null,
+      from,
+      rpcUrl,
+      chain: await getChain(provider),
+      token: { address: resolvedToken.address, ...metadata },
+      totalAmount: ethers.formatUnits(rawTotal, metadata.decimals),
+      rawTotalAmount: rawTotal.toString(),
+      recipients: built.recipients,
+      createdAt: new Date().toISOString(),
+    };
+
+    const policy = checkPlan({
+      action: "distribute",
+      txs: remainingTxs(distribution),
+    });
+    if (!policy.success) {
+      return policy;
+    }
+
+    saveDistribution(distribution);
+
+    const warnings = [];
+    if (ethBalance < gasEstimate) {
+      warnings.push(
+        `The wallet has ${ethers.formatEther(
+          ethBalance
+        )} ETH but the transfers may cost up to ${ethers.formatEther(
+          gasEstimate
+        )} ETH in gas. The run stops when ETH runs out and can be resumed after topping up.`
+      );
+    }
+
+    return {
+      ...distributionReport(distribution),
+      estimatedMaxGasCost: `${ethers.formatEther(gasEstimate)} ETH`,
+      warnings,
+      message:
+        'Nothing has been sent yet. Review every recipient, then call distribute with action="send" and this distributionId (and the password, unless the wallet is unlocked). Transfers are IRREVERSIBLE.',
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Distribution preview failed: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Outcome of waiting for a transfer: changes to apply to its recipient, or
+ * null if it is still pending
+ */
+async function settleTransfer(sent) {
+  try {
+    const receipt = await waitForReceipt(sent);
+    if (!receipt) {
+      return null;
+    }
+    return {
+      status: receipt.status === 1 ? "confirmed" : "failed",
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    };
+  } catch (err) {
+    if (err.code === "TRANSACTION_REPLACED") {
+      // A speed-up of the same transfer counts; a cancel does not
+      return err.reason === "repriced" && err.receipt?.status === 1
+        ? {
+            status: "confirmed",
+            hash: err.replacement.hash,
+            blockNumber: err.receipt.blockNumber,
+          }
+        : { status: "failed", error: `Replaced (${err.reason})` };
+    }
+    if (err.receipt) {
+      return {
+        status: "failed",
+        blockNumber: err.receipt.blockNumber,
+        error: "Reverted",
+      };
+    }
+    throw err;
+  }
+}
+
+function unknownTransferError(recipient) {
+  return `Transfer ${recipient.hash} is not known to the RPC, and its nonce ${
+    recipient.nonce ?? "(unknown)"
+  } was used by another transaction. It was not sent again so the recipient can't be paid twice: check whether ${
+    recipient.address
+  } received the tokens, and pay them separately if not.`;
+}
+
+/**
+ * Send (or resume) a previewed distribution, one transfer at a time.
+ * Progress is written to disk after every transfer. Recipients already
+ * confirmed are skipped; a transfer still pending from an earlier run is
+ * waited for before anything new is sent, and one the RPC no longer knows
+ * is sent again with its original nonce, so at most one of the two can be
+ * mined. The run stops at the first failure, or when a transfer is still
+ * pending after the wait timeout; calling send again resumes from there.
+ * A transfer whose nonce turns out to be used by another transaction is
+ * marked unknown and never sent again by this distribution.
+ */
+export async function runDistribution(password, distributionId) {
+  let distribution;
+  try {
+    distribution = loadDistribution(distributionId);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not read distribution: ${err.message}`,
+    };
+  }
+  if (!distribution) {
+    return {
+      success: false,
+      error: `Distribution "${distributionId}" not found`,
+    };
+  }
+  if (distribution.status === "completed") {
+    return distributionReport(distribution);
+  }
+  if (running.has(distribution.id)) {
+    return {
+      success: false,
+      error:
+        'This distribution is already being sent. Check its progress with action="status".',
+    };
+  }
+
+  // The policy file may have changed since the preview
+  const allowed = checkPlan({
+    action: "distribute",
+    txs: remainingTxs(distribution),
+  });
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  const signerResult = getDecryptedWallet(
+    password,
+    distribution.wallet,
+    distribution.account ?? undefined
+  );
+  if (!signerResult.success) {
+    return signerResult;
+  }
+  if (signerResult.address !== distribution.from) {
+    return {
+      success: false,
+      error: `Wallet "${distribution.wallet}" no longer has the address ${distribution.from} this distribution sends from`,
+    };
+  }
+
+  running.add(distribution.id);
+  try {
+    const provider = new ethers.JsonRpcProvider(distribution.rpcUrl);
+    const chain = await getChain(provider);
+    if (chain.chainId !== distribution.chain.chainId) {
+      return {
+        success: false,
+        error: `The RPC is now on chain ${chain.chainId}, but the distribution is for chain ${distribution.chain.chainId}. Nothing was sent.`,
+      };
+    }
+    const signer = signerResult.wallet.connect(provider);
+    const token = new ethers.Contract(
+      distribution.token.address,
+      ERC20_ABI,
+      provider
+    );
+    const { symbol, decimals } = distribution.token;
+
+    const remaining = distribution.recipients
+      .filter((r) => !["confirmed", "pending", "unknown"].includes(r.status))
+      .reduce((sum, r) => sum + BigInt(r.rawAmount), 0n);
+    const balance = await token.balanceOf(distribution.from);
+    if (balance < remaining) {
+      return {
+        ...distributionReport(distribution),
+        success: false,
+        error: `Insufficient balance. The remaining transfers send ${ethers.formatUnits(
+          remaining,
+          decimals
+        )} ${symbol} but the wallet has ${ethers.formatUnits(
+          balance,
+          decimals
+        )} ${symbol}. Nothing was sent.`,
+      };
+    }
+
+    distribution.status = "running";
+    saveDistribution(distribution);
+
+    const apply = (recipient, changes) => {
+      Object.assign(recipient, changes);
+      if (recipient.historyId) {
+        const { status, blockNumber, gasUsed } = changes;
+        updateTransaction(recipient.historyId, {
+          status,
+          blockNumber,
+          gasUsed,
+        });
+      }
+      saveDistribution(distribution);
+    };
+
+    for (const recipient of distribution.recipients) {
+      if (recipient.status === "confirmed") {
+        continue;
+      }
+
+      // Sent by an earlier run: settle it before sending anything new
+      let resendNonce;
+      if (["pending", "unknown"].includes(recipient.status) && recipient.hash) {
+        const receipt = await provider.getTransactionReceipt(recipient.hash);
+        const sent = receipt
+          ? null
+          : await provider.getTransaction(recipient.hash);
+        if (receipt) {
+          apply(recipient, {
+            status: receipt.status === 1 ? "confirmed" : "failed",
+            blockNumber: receipt.blockNumber,
+          });
+        } else if (sent) {
+          const outcome = await settleTransfer(sent);
+          if (!outcome) {
+            distribution.status = "paused";
+            break;
+          }
+          apply(recipient, outcome);
+        }
+        if (recipient.status === "confirmed") {
+          continue;
+        }
+        if (recipient.status === "failed") {
+          distribution.status = "stopped";
+          break;
+        }
+        // Its nonce went to another transaction: it can't be resent safely
+        if (recipient.status === "unknown" || recipient.nonce === undefined) {
+          apply(recipient, {
+            status: "unknown",
+            error: unknownTransferError(recipient),
+          });
+          distribution.status = "stopped";
+          break;
+        }
+        // Not known to the RPC (dropped, or the node lags behind): send it
+        // again with the same nonce, so it and the original can't both mine
+        resendNonce = recipient.nonce;
+      }
+
+      let sent;
+      try {
+        const tx = await planTransaction(provider, {
+          from: distribution.from,
+          to: distribution.token.address,
+          data: token.interface.encodeFunctionData("transfer", [
+            recipient.address,
+            BigInt(recipient.rawAmount),
+          ]),
+          description: `Send ${recipient.amount} ${symbol} to ${recipient.address}`,
+          ...(resendNonce !== undefined && { nonce: resendNonce }),
+        });
+        sent = await sendPlannedTransaction(signer, tx, chain.chainId);
+        if (recipient.historyId) {
+          updateTransaction(recipient.historyId, { status: "dropped" });
+        }
+        const historyId = recordTransaction({
+          type: "distribute",
+          wallet: distribution.wallet,
+          account: distribution.account ?? undefined,
+          chain,
+          rpcUrl: distribution.rpcUrl,
+          hash: sent.hash,
+          nonce: sent.nonce,
+          description: tx.description,
+          from: distribution.from,
+          to: distribution.token.address,
+          value: "0.0",
+          amount: recipient.amount,
+          unit: symbol,
+          token: distribution.token.address,
+          recipient: recipient.address,
+          distributionId: distribution.id,
+        });
+        apply(recipient, {
+          status: "pending",
+          hash: sent.hash,
+          nonce: sent.nonce,
+          historyId,
+          error: undefined,
+        });
+      } catch (err) {
+        const error = err.shortMessage || err.message;
+        // A failed resend leaves the original transfer open under its nonce:
+        // keep it pending so the next run only ever resends that nonce
+        apply(
+          recipient,
+          resendNonce === undefined
+            ? { status: "error", error }
+            : isNonceError(err)
+            ? { status: "unknown", error: unknownTransferError(recipient) }
+            : { status: "pending", error }
+        );
+        distribution.status = "stopped";
+        break;
+      }
+
+      const outcome = await settleTransfer(sent);
+      if (!outcome) {
+        distribution.status = "paused";
+        break;
+      }
+      apply(recipient, outcome);
+      if (outcome.status !== "confirmed") {
+        distribution.status = "stopped";
+        break;
+      }
+    }
+
+    if (distribution.recipients.every((r) => r.status === "confirmed")) {
+      distribution.status = "completed";
+    }
+    saveDistribution(distribution);
+
+    const report = distributionReport(distribution);
+    if (distribution.status === "paused") {
+      report.message =
+        "A transfer is still pending. Call send again with this distributionId to wait for it and continue.";
+    } else if (distribution.status === "stopped") {
+      report.message = distribution.recipients.some(
+        (r) => r.status === "unknown"
+      )
+        ? "Stopped at a transfer with an unknown outcome (see its error). It will not be sent again; settle it by hand before paying that recipient."
+        : "Stopped at a transfer that failed (see its error). Fix the cause, then call send again with this distributionId to retry it and continue.";
+    } else {
+      report.message = `All ${distribution.recipients.length} transfers confirmed.`;
+    }
+    return report;
+  } catch (err) {
+    distribution.status = "stopped";
+    saveDistribution(distribution);
+    return {
+      ...distributionReport(distribution),
+      success: false,
+      error: `Distribution interrupted: ${err.message}. Progress is saved; call send again to resume.`,
+    };
+  } finally {
+    running.delete(distribution.id);
+  }
+}
+
+/**
+ * Progress of one distribution, or a summary of all saved ones
+ */
+export function getDistributionStatus(distributionId) {
+  try {
+    if (distributionId) {
+      const distribution = loadDistribution(distributionId);
+      return distribution
+        ? distributionReport(distribution)
+        : {
+            success: false,
+            error: `Distribution "${distributionId}" not found`,
+          };
+    }
+
+    if (!fs.existsSync(DISTRIBUTIONS_DIR)) {
+      return { success: true, distributions: [] };
+    }
+    const distributions = fs
+      .readdirSync(DISTRIBUTIONS_DIR)
+      .filter((file) => /^[0-9a-f]{16}\.json$/.test(file))
+      .map((file) => {
+        const { success, recipients, ...summary } = distributionReport(
+          loadDistribution(file.slice(0, -5))
+        );
+        return summary;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { success: true, distributions };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not read distributions: ${err.message}`,
+    };
+  }
+}
@@ -0,0 +1,346 @@
+import { ethers } from "ethers";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR, ensureDataDir } from "./storage.js";
+import { DEFAULT_RPC_URL } from "./wallet.js";
+
+// One JSON object per line. Lines are only ever appended: a status change is
+// a new line with the entry's id, merged over the original when read.
+const HISTORY_FILE = path.join(DATA_DIR, "history.jsonl");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Statuses that can still change
+const OPEN_STATUSES = ["pending"];
+
+function appendLine(record) {
+  ensureDataDir();
+  fs.appendFileSync(HISTORY_FILE, JSON.stringify(record) + "\n", {
+    mode: 0o600,
+  });
+}
+
+/**
+ * Read the ledger and fold status updates into their entries, oldest first.
+ * A torn last line (crash mid-append) is skipped rather than fatal.
+ */
+function readEntries() {
+  if (!fs.existsSync(HISTORY_FILE)) {
+    return [];
+  }
+
+  const entries = new Map();
+  const lines = fs.readFileSync(HISTORY_FILE, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (record.update) {
+      const entry = entries.get(record.id);
+      if (entry) {
+        const { update, ...changes } = record;
+        Object.assign(entry, changes);
+      }
+    } else {
+      entries.set(record.id, record);
+    }
+  }
+  return [...entries.values()];
+}
+
+/**
+ * Record a signed action. Returns the entry id for later status updates.
+ * Never throws: losing a history line must not fail a transaction that
+ * has already been sent.
+ */
+export function recordTransaction(entry) {
+  const id = crypto.randomBytes(8).toString("hex");
+  try {
+    appendLine({
+      id,
+      timestamp: new Date().toISOString(),
+      status: "pending",
+      ...entry,
+    });
+  } catch (err) {
+    console.error(`Could not write transaction history: ${err.message}`);
+  }
+  return id;
+}
+
+/**
+ * Append a status change (status, blockNumber, gasUsed, error, ...) for an entry
+ */
+export function updateTransaction(id, changes) {
+  try {
+    appendLine({
+      id,
+      update: true,
+      updatedAt: new Date().toISOString(),
+      ...changes,
+    });
+  } catch (err) {
+    console.error(`Could not write transaction history: ${err.message}`);
+  }
+}
+
+/**
+ * Latest pending entry sent from an address with a given nonce, if any
+ */
+export function findPendingByNonce(from, nonce, chainId) {
+  const matches = readEntries().filter(
+    (entry) =>
+      entry.status === "pending" &&
+      entry.nonce === nonce &&
+      entry.chain?.chainId === chainId &&
+      entry.from?.toLowerCase() === from.toLowerCase()
+  );
+  return matches[matches.length - 1] || null;
+}
+
+/**
+ * Whether anything was ever sent (or is being sent) to an address
+ */
+export function hasSentTo(address) {
+  const target = address.toLowerCase();
+  return readEntries().some(
+    (entry) =>
+      ["pending", "confirmed"].includes(entry.status) &&
+      (entry.recipient || entry.to)?.toLowerCase() === target
+  );
+}
+
+/**
+ * ERC-20 token contracts an address has launched, claimed, collected fees
+ * for or sent through this server
+ */
+export function tokensUsedBy(address) {
+  const from = address.toLowerCase();
+  const tokens = new Set();
+  for (const entry of readEntries()) {
+    if (entry.token && entry.from?.toLowerCase() === from) {
+      tokens.add(ethers.getAddress(entry.token));
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * Total ETH value (wei) of transactions sent since a time (ms), counting
+ * pending ones: they can still be mined
+ *
+ * A sped-up or cancelled transaction and its replacement share a nonce and
+ * only one of them can be mined, so they are counted once: the confirmed
+ * one, or else the largest of the pending ones. Planned entries (not sent
+ * yet) are counted as pending, so a replacement is checked the same way.
+ */
+export function valueSentSince(since, planned = []) {
+  let total = 0n;
+  const byNonce = new Map();
+  for (const entry of [...readEntries(), ...planned]) {
+    if (
+      !entry.value ||
+      !["pending", "confirmed"].includes(entry.status) ||
+      Date.parse(entry.timestamp) < since
+    ) {
+      continue;
+    }
+    const value = ethers.parseEther(entry.value);
+    if (entry.from && entry.nonce !== undefined && entry.nonce !== null) {
+      const key = `${entry.chain?.chainId}:${entry.from.toLowerCase()}:${
+        entry.nonce
+      }`;
+      const counted = byNonce.get(key);
+      if (
+        !counted ||
+        (counted.status !== "confirmed" &&
+          (entry.status === "confirmed" || value > counted.value))
+      ) {
+        byNonce.set(key, { status: entry.status, value });
+      }
+      continue;
+    }
+    total += value;
+  }
+  for (const { value } of byNonce.values()) {
+    total += value;
+  }
+  return total;
+}
+
+/**
+ * Look up a pending entry on-chain. Returns the changes to record, or null
+ * if it is still pending.
+ */
+async function checkEntry(entry, providers) {
+  if (!entry.hash) {
+    return null;
+  }
+
+  const rpcUrl = entry.rpcUrl || DEFAULT_RPC_URL;
+  if (!providers.has(rpcUrl)) {
+    providers.set(rpcUrl, new ethers.JsonRpcProvider(rpcUrl));
+  }
+  const provider = providers.get(rpcUrl);
+
+  const receipt = await provider.getTransactionReceipt(entry.hash);
+  if (receipt) {
+    const changes = {
+      status: receipt.status === 1 ? "confirmed" : "failed",
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    };
+    if (!entry.chain) {
+      const network = await provider.getNetwork();
+      changes.chain = {
+        chainId: Number(network.chainId),
+        name: network.name,
+      };
+    }
+    return changes;
+  }
+
+  // Not mined: if its nonce has been used by another transaction, it was
+  // replaced or dropped and can never confirm
+  if (entry.from && entry.nonce !== undefined && entry.nonce !== null) {
+    const tx = await provider.getTransaction(entry.hash);
+    const minedNonce = await provider.getTransactionCount(entry.from, "latest");
+    if (!tx && minedNonce > entry.nonce) {
+      return { status: entry.replacedBy ? "replaced" : "dropped" };
+    }
+  }
+  return null;
+}
+
+/**
+ * Re-check pending entries against the RPC and record what changed
+ */
+async function refreshPending(entries) {
+  const providers = new Map();
+  const checked = { checked: 0, updated: 0, errors: 0 };
+
+  for (const entry of entries) {
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      continue;
+    }
+    checked.checked += 1;
+    try {
+      const changes = await checkEntry(entry, providers);
+      if (changes) {
+        updateTransaction(entry.id, changes);
+        Object.assign(entry, changes);
+        checked.updated += 1;
+      }
+    } catch (err) {
+      checked.errors += 1;
+      entry.checkError = err.message;
+    }
+  }
+  return checked;
+}
+
+/**
+ * List the history, newest first
+ *
+ * Filters: type (action, e.g. "transfer"), status, wallet, address (sender or
+ * recipient), chainId, since/until (ISO dates). Paginated with limit/offset.
+ * Pending entries matching the filters are re-checked on-chain unless
+ * refresh is false.
+ */
+export async function listHistory(options = {}) {
+  const {
+    type,
+    status,
+    wallet,
+    address,
+    chainId,
+    since,
+    until,
+    refresh = true,
+  } = options;
+
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+  if (address && !ethers.isAddress(address)) {
+    return { success: false, error: "Invalid address filter" };
+  }
+  for (const [label, value] of [
+    ["since", since],
+    ["until", until],
+  ]) {
+    if (value && isNaN(Date.parse(value))) {
+      return {
+        success: false,
+        error: `Invalid ${label} date "${value}". Use an ISO date like 2024-01-31.`,
+      };
+    }
+  }
+
+  let entries;
+  try {
+    entries = readEntries();
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not read transaction history: ${err.message}`,
+    };
+  }
+
+  const matches = (entry) =>
+    (!type || entry.type === type) &&
+    (!wallet || entry.wallet === wallet) &&
+    (!address ||
+      [entry.from, entry.to].some(
+        (a) => a && a.toLowerCase() === address.toLowerCase()
+      )) &&
+    (chainId === undefined ||
+      chainId === null ||
+      entry.chain?.chainId === Number(chainId)) &&
+    (!since || Date.parse(entry.timestamp) >= Date.parse(since)) &&
+    (!until || Date.parse(entry.timestamp) <= Date.parse(until));
+
+  // Status is filtered after the refresh, so "pending" shows what is
+  // still pending now
+  let selected = entries.filter(matches);
+  const refreshed = refresh ? await refreshPending(selected) : undefined;
+  if (status) {
+    selected = selected.filter((entry) => entry.status === status);
+  }
+
+  selected.reverse();
+  const page = selected.slice(offset, offset + limit);
+
+  return {
+    success: true,
+    total: selected.length,
+    offset,
+    limit,
+    hasMore: offset + limit < selected.length,
+    refreshed,
+    entries: page,
+  };
+}
+
+/**
+ * Latest launch entry of a token, if it was launched through this server
+ */
+export function findLaunch(tokenAddress) {
+  const token = tokenAddress.toLowerCase();
+  const matches = readEntries().filter(
+    (entry) => entry.type === "launch" && entry.token?.toLowerCase() === token
+  );
+  return matches[matches.length - 1] || null;
+}
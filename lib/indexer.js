@@ -0,0 +1,26 @@
+import { OFFLINE_MODE, offlineGraphQL } from "./offline.js";
+
+/**
+ * Run a query against the Ponder indexer's GraphQL API and return its data.
+ * Throws with the first GraphQL error. In offline mode the query is
+ * answered from the local offline tokens instead.
+ */
+export async function queryGraphQL(graphqlUrl, query, variables = {}) {
+  if (OFFLINE_MODE) {
+    return offlineGraphQL(query, variables);
+  }
+
+  const response = await fetch(graphqlUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, variables }),
+  });
+  if (!response.ok) {
+    throw new Error(`indexer returned HTTP ${response.status}`);
+  }
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(result.errors[0].message);
+  }
+  return result.data;
+}
@@ -0,0 +1,459 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from "./storage.js";
+import {
+  getWalletAddress,
+  getDecryptedWallet,
+  watchOnlyError,
+} from "./wallet.js";
+import { checkAction } from "./policy.js";
+import {
+  findSavedLaunch,
+  launchCoin,
+  launchWithWallet,
+  resumeLaunches,
+  validateLaunchInput,
+} from "./launcher.js";
+
+// One file per batch, rewritten after every coin so a stopped batch can
+// be resumed where it stopped
+const BATCHES_DIR = path.join(DATA_DIR, "launch-batches");
+
+const MAX_COINS = 100;
+const COIN_FIELDS = [
+  "name",
+  "symbol",
+  "url",
+  "github",
+  "description",
+  "longDescription",
+  "twitter",
+  "telegram",
+  "discord",
+  "tags",
+  "logo",
+];
+
+// Batches being launched by this process, so one can't run twice at once
+const running = new Set();
+
+function batchFile(id) {
+  return path.join(BATCHES_DIR, `${id}.json`);
+}
+
+function loadBatch(id) {
+  if (typeof id !== "string" || !/^[0-9a-f]{16}$/.test(id)) {
+    return null;
+  }
+  const file = batchFile(id);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveBatch(batch) {
+  ensureDataDir();
+  if (!fs.existsSync(BATCHES_DIR)) {
+    fs.mkdirSync(BATCHES_DIR, { recursive: true, mode: 0o700 });
+  }
+  batch.updatedAt = new Date().toISOString();
+  writeFileAtomic(batchFile(batch.id), JSON.stringify(batch, null, 2));
+}
+
+/**
+ * Read a manifest: a list of coins, or an object with a "coins" list, as
+ * JSON (.json) or YAML (anything else)
+ */
+function readManifest(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Manifest not found: ${resolved}`);
+  }
+  const text = fs.readFileSync(resolved, "utf8");
+  const data = resolved.toLowerCase().endsWith(".json")
+    ? JSON.parse(text)
+    : YAML.parse(text);
+  const coins = Array.isArray(data) ? data : data?.coins;
+  if (!Array.isArray(coins)) {
+    throw new Error(
+      'The manifest must be a list of coins or have a "coins" list'
+    );
+  }
+  return { file: resolved, coins };
+}
+
+/**
+ * Keep the known fields of a manifest entry as strings (YAML reads
+ * symbol: 420 as a number), tags as a list of strings, and the logo path
+ * relative to the manifest. Returns { coin, errors }.
+ */
+function normalizeCoin(entry, manifestFile) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { coin: {}, errors: ["Entry is not an object"] };
+  }
+  const errors = Object.keys(entry)
+    .filter((key) => !COIN_FIELDS.includes(key))
+    .map((key) => `Unknown field "${key}" (use ${COIN_FIELDS.join(", ")})`);
+  const coin = {};
+  for (const field of COIN_FIELDS) {
+    const value = entry[field];
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+    if (field === "tags") {
+      coin.tags = Array.isArray(value)
+        ? value.map((tag) => String(tag).trim())
+        : String(value)
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean);
+      continue;
+    }
+    if (typeof value === "object") {
+      errors.push(`${field} must be text`);
+      continue;
+    }
+    coin[field] = String(value).trim();
+  }
+  if (coin.logo) {
+    coin.logo = path.resolve(path.dirname(manifestFile), coin.logo);
+  }
+  return { coin, errors };
+}
+
+/**
+ * Per-coin status and a summary table of a batch
+ */
+function batchReport(batch) {
+  const count = (status) =>
+    batch.coins.filter((c) => c.status === status).length;
+  const rows = batch.coins.map(
+    (c) =>
+      `| ${c.index + 1} | ${c.name} | ${c.symbol} | ${c.status}${
+        c.verification && c.verification !== "verified"
+          ? ` (${c.verification})`
+          : ""
+      } | ${c.tokenAddress || c.error || "-"} |`
+  );
+
+  return {
+    success: true,
+    batchId: batch.id,
+    status: batch.status,
+    wallet: batch.wallet,
+    creator: batch.creator,
+    manifest: batch.file,
+    totals: {
+      coins: batch.coins.length,
+      launched: count("launched"),
+      failed: count("failed"),
+      unknown: count("unknown"),
+      queued: count("queued"),
+    },
+    coins: batch.coins,
+    table: [
+      "| # | Name | Symbol | Status | Contract |",
+      "|---|------|--------|--------|----------|",
+      ...rows,
+    ].join("\n"),
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+  };
+}
+
+/**
+ * Preflight every coin of a manifest (the checks of a launch dryRun, plus
+ * repeated names and symbols within the manifest) and save it as a new
+ * batch. Nothing is signed: the preview lists each coin's errors and
+ * warnings, and returns the batchId to launch.
+ */
+export async function previewBatchLaunch({ file, walletName, account }) {
+  const watchOnly = watchOnlyError(walletName);
+  if (watchOnly) {
+    return watchOnly;
+  }
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+
+  let manifest;
+  try {
+    manifest = readManifest(file);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not read the manifest: ${err.message}`,
+    };
+  }
+  if (manifest.coins.length === 0) {
+    return { success: false, error: "The manifest lists no coins" };
+  }
+  if (manifest.coins.length > MAX_COINS) {
+    return {
+      success: false,
+      error: `The manifest lists ${manifest.coins.length} coins; at most ${MAX_COINS} can be launched in one batch`,
+    };
+  }
+
+  const seen = { name: new Map(), symbol: new Map() };
+  const preflight = [];
+  for (const [index, entry] of manifest.coins.entries()) {
+    const { coin, errors } = normalizeCoin(entry, manifest.file);
+    const result = await launchCoin({
+      ...coin,
+      walletName,
+      account,
+      dryRun: true,
+    });
+    errors.push(...result.errors.map((e) => e.error));
+
+    for (const field of ["name", "symbol"]) {
+      const key = coin[field]?.toUpperCase();
+      if (key && seen[field].has(key)) {
+        errors.push(
+          `Same ${field} as coin ${seen[field].get(key) + 1} of the manifest`
+        );
+      } else if (key) {
+        seen[field].set(key, index);
+      }
+    }
+    preflight.push({
+      index,
+      ...coin,
+      valid: errors.length === 0,
+      errors,
+      warnings: result.warnings,
+    });
+  }
+
+  const invalid = preflight.filter((c) => !c.valid);
+  if (invalid.length > 0) {
+    return {
+      success: false,
+      error: `${invalid.length} of ${preflight.length} coins failed the preflight checks. Fix the manifest and preview again.`,
+      coins: preflight,
+    };
+  }
+
+  const batch = {
+    id: crypto.randomBytes(8).toString("hex"),
+    status: "previewed",
+    file: manifest.file,
+    wallet: walletResult.name,
+    account: account ?? null,
+    creator: walletResult.address,
+    createdAt: new Date().toISOString(),
+    coins: preflight.map(({ valid, errors, warnings, ...coin }) => ({
+      ...coin,
+      status: "queued",
+    })),
+  };
+  try {
+    saveBatch(batch);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not save the batch: ${err.message}`,
+    };
+  }
+
+  return {
+    success: true,
+    batchId: batch.id,
+    wallet: batch.wallet,
+    creator: batch.creator,
+    coins: preflight,
+    message: `${preflight.length} coins passed the preflight checks. Nothing was signed. Call launch-batch with action="launch", this batchId and the password to launch them in order.`,
+  };
+}
+
+/**
+ * Launch the coins of a previewed batch one after another, with a single
+ * wallet unlock. The batch is saved after every coin. It stops at the
+ * first coin that fails or whose outcome is unknown; running it again
+ * settles that coin (through launch-resume) and continues.
+ */
+export async function runBatchLaunch(password, batchId) {
+  let batch;
+  try {
+    batch = loadBatch(batchId);
+  } catch (err) {
+    return { success: false, error: `Could not read batch: ${err.message}` };
+  }
+  if (!batch) {
+    return { success: false, error: `Batch "${batchId}" not found` };
+  }
+  if (batch.status === "completed") {
+    return batchReport(batch);
+  }
+  if (running.has(batch.id)) {
+    return {
+      success: false,
+      error:
+        'This batch is already being launched. Check its progress with action="status".',
+    };
+  }
+
+  const allowed = checkAction("launch");
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  const walletResult = getDecryptedWallet(
+    password,
+    batch.wallet,
+    batch.account ?? undefined
+  );
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  if (walletResult.address !== batch.creator) {
+    return {
+      success: false,
+      error: `Wallet "${batch.wallet}" no longer has the address ${batch.creator} this batch launches from`,
+    };
+  }
+
+  running.add(batch.id);
+  try {
+    batch.status = "running";
+    saveBatch(batch);
+
+    const settle = (coin, changes) => {
+      Object.assign(coin, changes);
+      saveBatch(batch);
+    };
+
+    for (const coin of batch.coins) {
+      if (coin.status === "launched") {
+        continue;
+      }
+
+      // A run that stopped mid-launch may have saved the launch before the
+      // batch: settle that one instead of launching the coin twice
+      if (coin.status === "queued") {
+        const saved = findSavedLaunch(
+          batch.creator,
+          coin,
+          Date.parse(batch.createdAt)
+        );
+        if (saved && !["failed", "expired"].includes(saved.status)) {
+          settle(coin, { status: "unknown", launchId: saved.id });
+        }
+      }
+
+      // An earlier run lost the API's answer: find out before relaunching
+      if (coin.status === "unknown") {
+        const resumed = await resumeLaunches({ launchId: coin.launchId });
+        const outcome = resumed.launches?.[0];
+        if (outcome?.outcome === "launched") {
+          settle(coin, {
+            status: "launched",
+            tokenAddress: outcome.tokenAddress,
+            transactionHash: outcome.transactionHash || null,
+            verification: outcome.verification?.status,
+            error: undefined,
+          });
+          continue;
+        }
+        // Expired: never deployed and no longer deployable, launch it anew
+        if (outcome?.outcome !== "expired") {
+          settle(coin, {
+            status: outcome?.outcome === "failed" ? "failed" : "unknown",
+            error: outcome?.error || resumed.error || "Outcome still unknown",
+          });
+          batch.status = "stopped";
+          break;
+        }
+      }
+
+      const problems = validateLaunchInput(coin);
+      const policy = checkAction("launch");
+      const result =
+        problems.length > 0
+          ? { success: false, error: problems.map((e) => e.error).join("; ") }
+          : !policy.success
+          ? policy
+          : await launchWithWallet(walletResult, coin);
+
+      if (result.success) {
+        settle(coin, {
+          status: "launched",
+          launchId: result.launchId,
+          tokenAddress: result.coin.contractAddress,
+          transactionHash: result.coin.transactionHash || null,
+          verification: result.verification.status,
+          error: undefined,
+        });
+        continue;
+      }
+      settle(coin, {
+        status: result.status === "unknown" ? "unknown" : "failed",
+        launchId: result.launchId,
+        error: result.error,
+      });
+      batch.status = "stopped";
+      break;
+    }
+
+    if (batch.status === "running") {
+      batch.status = "completed";
+    }
+    saveBatch(batch);
+
+    const report = batchReport(batch);
+    report.message =
+      batch.status === "completed"
+        ? `All ${batch.coins.length} coins launched.`
+        : "Stopped at a coin that failed or whose outcome is unknown (see its error). Fix the cause, then call launch again with this batchId to continue.";
+    return report;
+  } catch (err) {
+    batch.status = "stopped";
+    saveBatch(batch);
+    return {
+      ...batchReport(batch),
+      success: false,
+      error: `Batch interrupted: ${err.message}. Progress is saved; call launch again to resume.`,
+    };
+  } finally {
+    running.delete(batch.id);
+  }
+}
+
+/**
+ * Progress of one batch, or a summary of all saved ones
+ */
+export function getBatchStatus(batchId) {
+  try {
+    if (batchId) {
+      const batch = loadBatch(batchId);
+      return batch
+        ? batchReport(batch)
+        : { success: false, error: `Batch "${batchId}" not found` };
+    }
+
+    if (!fs.existsSync(BATCHES_DIR)) {
+      return { success: true, batches: [] };
+    }
+    const batches = fs
+      .readdirSync(BATCHES_DIR)
+      .filter((file) => /^[0-9a-f]{16}\.json$/.test(file))
+      .map((file) => {
+        const { success, coins, table, ...summary } = batchReport(
+          loadBatch(file.slice(0, -5))
+        );
+        return summary;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { success: true, batches };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not read batches: ${err.message}`,
+    };
+  }
+}
@@ -1,25 +1,503 @@
 import { ethers } from 'ethers';
-import { getDecryptedWallet, hasWallet } from './wallet.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from './storage.js';
+import { getDecryptedWallet, getWalletAddress, hasWallet } from './wallet.js';
+import { recordTransaction, updateTransaction } from './history.js';
+import { checkAction } from './policy.js';
+import { queryGraphQL } from './indexer.js';
+import { OFFLINE_MODE, offlineLaunch, offlineLaunchNonce, offlineStats } from './offline.js';
+import { buildLaunchRequest } from './launchrequest.js';
+import { loadLogo } from './logo.js';
+import { verifyDeployment } from './deployment.js';
 
 // API endpoint for the Ponder indexer server (includes launch endpoint)
 const API_BASE_URL = process.env.LAUNCHER_API_URL || 'https://vibecoin.up.railway.app';
+const GRAPHQL_URL = process.env.GRAPHQL_URL || `${API_BASE_URL}/graphql`;
+const RPC_URL = process.env.RPC_URL || 'https://ethereum-rpc.publicnode.com';
+
+// Every launch is saved here before it is submitted, under its idempotency
+// key, so an interrupted launch can be looked up instead of repeated
+const LAUNCHES_FILE = path.join(DATA_DIR, 'launches.json');
+
+// Statuses of a launch whose outcome is not known yet
+const UNRESOLVED_STATUSES = ['submitting', 'unknown'];
+
+// Submission retries: attempts, first backoff (doubled each time), and
+// how long one attempt may take
+const LAUNCH_ATTEMPTS = 4;
+const LAUNCH_RETRY_DELAY_MS = parseInt(process.env.LAUNCH_RETRY_DELAY_MS || '2000', 10);
+const LAUNCH_REQUEST_TIMEOUT_MS = 60000;
+
+// Limits checked before anything is signed, so a bad launch fails here and
+// not after the signed request reached the API
+const NAME_MAX_LENGTH = 32;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 .,'&!?_-]*$/;
+const SYMBOL_PATTERN = /^[A-Za-z0-9]{2,10}$/;
+const DESCRIPTION_MAX_LENGTH = 500;
+const LONG_DESCRIPTION_MAX_LENGTH = 5000;
+const GITHUB_PATTERN = /^https:\/\/github\.com\/[A-Za-z0-9-]+(\/[A-Za-z0-9._-]+)?\/?$/;
+const TWITTER_PATTERN = /^https:\/\/(www\.)?(twitter|x)\.com\/[A-Za-z0-9_]{1,15}\/?$/;
+const TELEGRAM_PATTERN = /^https:\/\/(t|telegram)\.me\/(\+|joinchat\/)?[A-Za-z0-9_-]{4,64}\/?$/;
+const DISCORD_PATTERN = /^https:\/\/(discord\.gg|(www\.)?discord\.com\/invite)\/[A-Za-z0-9-]{2,32}\/?$/;
+const MAX_TAGS = 5;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+
+// Optional launch fields, all covered by the signed request's metadataHash
+const METADATA_FIELDS = ['url', 'github', 'description', 'longDescription', 'twitter', 'telegram', 'discord', 'tags', 'logo'];
+
+function loadLaunches() {
+  if (!fs.existsSync(LAUNCHES_FILE)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(LAUNCHES_FILE, 'utf8')).launches || [];
+}
+
+function saveLaunch(launch) {
+  ensureDataDir();
+  const launches = loadLaunches().filter((l) => l.id !== launch.id);
+  launches.push(launch);
+  writeFileAtomic(LAUNCHES_FILE, JSON.stringify({ launches }, null, 2));
+}
 
 /**
- * Launch a new coin by calling the external deployment API
+ * The latest launch of a coin saved for a creator since a time (ms), or null
  */
-export async function launchCoin(options) {
-  const { password, name, symbol, url, github, description } = options;
+export function findSavedLaunch(creator, { name, symbol }, since) {
+  const matches = loadLaunches().filter((l) =>
+    l.creator === creator && l.name === name && l.symbol === symbol && Date.parse(l.createdAt) >= since
+  );
+  return matches[matches.length - 1] || null;
+}
+
+/**
+ * The metadata fields of a launch input, missing ones as null (tags as [])
+ */
+function launchMetadata(input) {
+  return Object.fromEntries(METADATA_FIELDS.map((field) =>
+    [field, field === 'tags' ? input.tags || [] : input[field] || null]
+  ));
+}
+
+/**
+ * What a launch keeps of its logo: the file, type, size and signed hash,
+ * not the image itself
+ */
+function logoSummary({ file, mimeType, size, hash }) {
+  return { file, mimeType, size, hash };
+}
+
+/**
+ * The saved request of a launch as the API takes it: its logo is inline
+ * again, read back from the file and checked against the signed hash
+ */
+function launchRequestBody(request) {
+  if (!request.logo || typeof request.logo === 'string') {
+    return request;
+  }
+  const loaded = loadLogo(request.logo.file);
+  if (!loaded.success) {
+    throw new Error(`${loaded.error}. The signed request needs this logo: restore the file and try again`);
+  }
+  if (loaded.hash !== request.logo.hash) {
+    throw new Error(`Logo ${loaded.file} changed since the request was signed. Restore the original image and try again`);
+  }
+  return { ...request, logo: loaded.dataUri };
+}
+
+function isHttpUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return ['http:', 'https:'].includes(parsed.protocol) && parsed.hostname.includes('.');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check name, symbol, links, descriptions, tags and the logo file against
+ * the launch limits. Returns a list of problems, empty when the input is
+ * valid.
+ */
+export function validateLaunchInput({ name, symbol, url, github, description, longDescription, twitter, telegram, discord, tags, logo }) {
+  const errors = [];
 
-  // Validate inputs - just check they exist
   if (!name) {
-    return { success: false, error: 'Name is required' };
+    errors.push({ field: 'name', error: 'Name is required' });
+  } else if (name.length > NAME_MAX_LENGTH) {
+    errors.push({ field: 'name', error: `Name is ${name.length} characters; at most ${NAME_MAX_LENGTH} are allowed` });
+  } else if (!NAME_PATTERN.test(name)) {
+    errors.push({ field: 'name', error: 'Name must start with a letter or digit and use only letters, digits, spaces and . , \' & ! ? _ -' });
   }
 
   if (!symbol) {
-    return { success: false, error: 'Symbol is required' };
+    errors.push({ field: 'symbol', error: 'Symbol is required' });
+  } else if (!SYMBOL_PATTERN.test(symbol)) {
+    errors.push({ field: 'symbol', error: 'Symbol must be 2-10 letters or digits, e.g. DOGE' });
+  }
+
+  if (url && !isHttpUrl(url)) {
+    errors.push({ field: 'url', error: `"${url}" is not a valid http(s) URL` });
+  }
+
+  if (github && !GITHUB_PATTERN.test(github)) {
+    errors.push({ field: 'github', error: `"${github}" is not a GitHub URL like https://github.com/owner/repo` });
+  }
+
+  if (description && description.length > DESCRIPTION_MAX_LENGTH) {
+    errors.push({ field: 'description', error: `Description is ${description.length} characters; at most ${DESCRIPTION_MAX_LENGTH} are allowed` });
+  }
+
+  if (longDescription && longDescription.length > LONG_DESCRIPTION_MAX_LENGTH) {
+    errors.push({ field: 'longDescription', error: `Long description is ${longDescription.length} characters; at most ${LONG_DESCRIPTION_MAX_LENGTH} are allowed` });
+  }
+
+  if (twitter && !TWITTER_PATTERN.test(twitter)) {
+    errors.push({ field: 'twitter', error: `"${twitter}" is not a Twitter/X profile URL like https://x.com/handle` });
+  }
+
+  if (telegram && !TELEGRAM_PATTERN.test(telegram)) {
+    errors.push({ field: 'telegram', error: `"${telegram}" is not a Telegram link like https://t.me/group` });
+  }
+
+  if (discord && !DISCORD_PATTERN.test(discord)) {
+    errors.push({ field: 'discord', error: `"${discord}" is not a Discord invite like https://discord.gg/code` });
+  }
+
+  if (tags !== undefined && tags !== null) {
+    if (!Array.isArray(tags)) {
+      errors.push({ field: 'tags', error: 'Tags must be a list, e.g. ["meme", "ai"]' });
+    } else if (tags.length > MAX_TAGS) {
+      errors.push({ field: 'tags', error: `${tags.length} tags given; at most ${MAX_TAGS} are allowed` });
+    } else {
+      const invalid = tags.filter((tag) => typeof tag !== 'string' || !TAG_PATTERN.test(tag));
+      if (invalid.length > 0) {
+        errors.push({ field: 'tags', error: `Tags must be 1-24 lowercase letters, digits or dashes: ${invalid.map((tag) => JSON.stringify(tag)).join(', ')}` });
+      } else if (new Set(tags).size !== tags.length) {
+        errors.push({ field: 'tags', error: 'Tags must not repeat' });
+      }
+    }
+  }
+
+  if (logo) {
+    const loaded = loadLogo(logo);
+    if (!loaded.success) {
+      errors.push({ field: 'logo', error: loaded.error });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Tokens already on the indexer with the same symbol or name
+ */
+async function findDuplicates(name, symbol) {
+  const data = await queryGraphQL(GRAPHQL_URL, `
+    query Duplicates($name: String!, $symbol: String!, $upperSymbol: String!) {
+      bySymbol: tokens(where: { OR: [{ symbol: $symbol }, { symbol: $upperSymbol }] }, limit: 10) {
+        items { id name symbol creator launchTimestamp }
+      }
+      byName: tokens(where: { name: $name }, limit: 10) {
+        items { id name symbol creator launchTimestamp }
+      }
+    }
+  `, { name, symbol, upperSymbol: symbol.toUpperCase() });
+  return {
+    symbol: data?.bySymbol?.items || [],
+    name: data?.byName?.items || []
+  };
+}
+
+/**
+ * Ask the API for a nonce for the creator's next launch request, and the
+ * chain it deploys on. The chain must be the one RPC_URL is on, or the
+ * deployment could not be verified there.
+ */
+async function requestNonce(creator) {
+  if (OFFLINE_MODE) {
+    return offlineLaunchNonce(creator);
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/launch/nonce?creator=${creator}`);
+  const result = await response.json();
+  if (!response.ok || !result.nonce || !result.chainId) {
+    throw new Error(`could not get a launch nonce from the API: ${result.error || `HTTP ${response.status}`}`);
+  }
+
+  const network = await new ethers.JsonRpcProvider(RPC_URL).getNetwork();
+  if (Number(network.chainId) !== Number(result.chainId)) {
+    throw new Error(`the API deploys on chain ${result.chainId} but RPC_URL is on chain ${network.chainId}`);
+  }
+  return result;
+}
+
+/**
+ * Send a signed launch request to the API (or, in offline mode, to the
+ * local stand-in). Returns the API's JSON answer.
+ *
+ * Network errors, timeouts and 5xx/429 answers are retried with backoff
+ * under the same idempotency key, so the API deploys the coin at most
+ * once. When no attempt gets an answer, the error has outcomeUnknown set:
+ * the coin may or may not have been deployed.
+ */
+async function postLaunch(request, idempotencyKey) {
+  if (OFFLINE_MODE) {
+    return offlineLaunch(request, idempotencyKey);
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= LAUNCH_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      await new Promise((resolve) => setTimeout(resolve, LAUNCH_RETRY_DELAY_MS * 2 ** (attempt - 2)));
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/launch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey
+        },
+        body: JSON.stringify({ ...request, idempotencyKey }),
+        signal: AbortSignal.timeout(LAUNCH_REQUEST_TIMEOUT_MS)
+      });
+      if (response.status >= 500 || response.status === 429) {
+        lastError = new Error(`the API returned HTTP ${response.status}`);
+        continue;
+      }
+      const result = await response.json();
+      return response.ok ? result : { ...result, success: false };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  const error = new Error(`no answer from the launch API after ${LAUNCH_ATTEMPTS} attempts (last error: ${lastError.message})`);
+  error.outcomeUnknown = true;
+  throw error;
+}
+
+/**
+ * Record a launch the API accepted: history entry, on-chain verification,
+ * saved launch status. Returns the launch result.
+ */
+async function finishLaunch(launch, result) {
+  const { name, symbol, creator } = launch;
+
+  // The API deploys and pays for the transaction; record it under the
+  // creator so it can be followed with the history tool
+  const historyId = recordTransaction({
+    type: 'launch',
+    // Offline tokens were never sent anywhere; keep them out of the
+    // on-chain refresh
+    ...(OFFLINE_MODE && { status: 'offline' }),
+    wallet: launch.wallet,
+    account: launch.account,
+    hash: result.transactionHash,
+    description: `Launch ${name} (${symbol})`,
+    from: creator,
+    to: result.tokenAddress,
+    token: result.tokenAddress,
+    amount: result.totalSupply,
+    unit: symbol,
+    name,
+    symbol
+  });
+
+  saveLaunch({
+    ...launch,
+    status: 'launched',
+    tokenAddress: result.tokenAddress,
+    transactionHash: result.transactionHash || null,
+    resolvedAt: new Date().toISOString()
+  });
+
+  // Don't take the API's word for it: check the deployment on-chain
+  const verification = await verifyDeployment({
+    tokenAddress: result.tokenAddress,
+    transactionHash: result.transactionHash,
+    name,
+    symbol,
+    creator
+  });
+  if (verification.blockNumber !== undefined) {
+    updateTransaction(historyId, {
+      status: verification.status === 'failed' ? 'failed' : 'confirmed',
+      blockNumber: verification.blockNumber,
+      gasUsed: verification.gasUsed
+    });
+  }
+
+  return {
+    success: true,
+    message: OFFLINE_MODE ? 'Coin launched (OFFLINE MODE - nothing was deployed)' : 'Coin launched successfully!',
+    offline: OFFLINE_MODE || undefined,
+    launchId: launch.id,
+    coin: {
+      id: result.tokenAddress,
+      name,
+      symbol,
+      totalSupply: result.totalSupply,
+      contractAddress: result.tokenAddress,
+      transactionHash: result.transactionHash,
+      creator,
+      status: 'launched',
+      ...Object.fromEntries(METADATA_FIELDS.map((field) => [field, launch[field]]))
+    },
+    verification,
+    warning: ['mismatch', 'failed'].includes(verification.status) || !verification.success
+      ? 'The deployment could not be confirmed on-chain; see verification before announcing the coin. Re-check with launch-status.'
+      : undefined
+  };
+}
+
+/**
+ * Submit a saved launch and settle its status from the answer
+ */
+async function submitLaunch(launch) {
+  let body;
+  try {
+    body = launchRequestBody(launch.request);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Launch not sent: ${err.message}`,
+      launchId: launch.id,
+      status: 'unknown',
+      note: 'Run launch with action="launch-resume" once the logo is back to send it.'
+    };
+  }
+
+  let result;
+  try {
+    result = await postLaunch(body, launch.id);
+  } catch (err) {
+    saveLaunch({ ...launch, status: 'unknown', lastError: err.message });
+    return {
+      success: false,
+      error: `Launch failed: ${err.message}`,
+      launchId: launch.id,
+      status: 'unknown',
+      note: 'The coin may or may not have been deployed. Do not launch it again: run launch with action="launch-resume" to find out.',
+      apiUrl: API_BASE_URL
+    };
+  }
+
+  if (!result.success) {
+    saveLaunch({ ...launch, status: 'failed', lastError: result.error || 'Failed to launch coin', resolvedAt: new Date().toISOString() });
+    return {
+      success: false,
+      error: result.error || 'Failed to launch coin',
+      launchId: launch.id
+    };
+  }
+  return finishLaunch(launch, result);
+}
+
+/**
+ * Run every launch check without signing or sending anything: input
+ * limits, wallet and policy, and duplicates on the indexer. Returns the
+ * exact message the launch would sign (only its timestamp will differ).
+ */
+async function dryRunLaunch(options) {
+  const { name, symbol, walletName, account } = options;
+  const errors = validateLaunchInput(options);
+  const warnings = [];
+
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    errors.push({ field: 'wallet', error: walletResult.error });
+  }
+
+  const allowed = checkAction('launch');
+  if (!allowed.success) {
+    errors.push({ field: 'policy', error: allowed.error });
+  }
+
+  let duplicates = null;
+  if (name && symbol) {
+    try {
+      duplicates = await findDuplicates(name, symbol);
+      if (duplicates.symbol.length > 0) {
+        warnings.push(`${duplicates.symbol.length} coin(s) already use the symbol ${symbol.toUpperCase()}`);
+      }
+      if (duplicates.name.length > 0) {
+        warnings.push(`${duplicates.name.length} coin(s) already use the name "${name}"`);
+      }
+    } catch (err) {
+      warnings.push(`Could not check the indexer for duplicates: ${err.message}`);
+    }
+  }
+
+  const metadata = launchMetadata(options);
+  const logo = metadata.logo && loadLogo(metadata.logo);
+  const creator = walletResult.success ? walletResult.address : null;
+  const timestamp = Date.now();
+  const typedData = creator && buildLaunchRequest({
+    creator,
+    name,
+    symbol,
+    metadata: { ...metadata, logo: logo?.success ? logo.dataUri : null },
+    nonce: ethers.ZeroHash,
+    chainId: 0,
+    issuedAt: Math.floor(timestamp / 1000)
+  });
+
+  return {
+    success: true,
+    dryRun: true,
+    offline: OFFLINE_MODE,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    duplicates,
+    creator,
+    wallet: walletResult.success ? walletResult.name : null,
+    requestToSign: typedData,
+    request: {
+      endpoint: OFFLINE_MODE ? 'offline' : `${API_BASE_URL}/api/launch`,
+      walletAddress: creator,
+      name,
+      symbol,
+      timestamp,
+      ...metadata,
+      logo: logo?.success ? logoSummary(logo) : metadata.logo
+    },
+    note: 'Dry run: nothing was signed or sent. A real launch signs this EIP-712 request with the nonce and chainId issued by the API (zero here) and the current time as issuedAt.'
+  };
+}
+
+/**
+ * Launch a new coin by calling the external deployment API
+ * With dryRun, only the preflight checks run (see dryRunLaunch).
+ */
+export async function launchCoin(options) {
+  const {
+    password,
+    walletName,
+    account,
+    dryRun = false
+  } = options;
+
+  if (dryRun) {
+    return dryRunLaunch(options);
+  }
+
+  const errors = validateLaunchInput(options);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: errors.map((e) => e.error).join('; '),
+      errors
+    };
   }
 
   // Check if wallet exists
+  if (walletName && !hasWallet(walletName)) {
+    return { success: false, error: `Wallet "${walletName}" not found` };
+  }
+
   if (!hasWallet()) {
     return {
       success: false,
@@ -28,106 +506,198 @@ export async function launchCoin(options) {
     };
   }
 
+  const allowed = checkAction('launch');
+  if (!allowed.success) {
+    return allowed;
+  }
+
   // Get wallet to sign the launch request
-  const walletResult = getDecryptedWallet(password);
+  const walletResult = getDecryptedWallet(password, walletName, account);
   if (!walletResult.success) {
     return walletResult;
   }
 
+  return launchWithWallet(walletResult, options);
+}
+
+/**
+ * Sign and submit a validated launch with an already unlocked wallet
+ * (a getDecryptedWallet result), so a batch needs the password only once
+ */
+export async function launchWithWallet(walletResult, input) {
+  const { name, symbol } = input;
   const wallet = walletResult.wallet;
   const walletAddress = wallet.address;
 
-  // Create the message to sign
-  const timestamp = Date.now();
-  const message = `Launch coin on Vibecoins\n\nName: ${name}\nSymbol: ${symbol}\nCreator: ${walletAddress}\nTimestamp: ${timestamp}`;
+  // A launch that may already have deployed this coin must be settled first
+  const unresolved = loadLaunches().find((l) =>
+    UNRESOLVED_STATUSES.includes(l.status) &&
+    l.creator === walletAddress &&
+    l.symbol.toUpperCase() === symbol.toUpperCase()
+  );
+  if (unresolved) {
+    return {
+      success: false,
+      error: `An earlier launch of ${unresolved.symbol} from this wallet (${unresolved.id}, ${unresolved.createdAt}) has an unknown outcome. Run launch with action="launch-resume" first; launching again could deploy the coin twice.`,
+      launchId: unresolved.id
+    };
+  }
 
-  // Sign the message
-  const signature = await wallet.signMessage(message);
+  // The logo is sent inline and signed by the hash of its image
+  const metadata = launchMetadata(input);
+  const logo = metadata.logo && loadLogo(metadata.logo);
+  if (logo && !logo.success) {
+    return logo;
+  }
+  metadata.logo = logo ? logo.dataUri : null;
 
   // Call external API to deploy the contract
   try {
-    const response = await fetch(`${API_BASE_URL}/api/launch`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    // Sign a typed request bound to the API's chain and nonce, valid for
+    // LAUNCH_REQUEST_TTL_SECONDS
+    const { nonce, chainId } = await requestNonce(walletAddress);
+    const timestamp = Date.now();
+    const typedData = buildLaunchRequest({
+      creator: walletAddress,
+      name,
+      symbol,
+      metadata,
+      nonce,
+      chainId,
+      issuedAt: Math.floor(timestamp / 1000)
+    });
+    const signature = await wallet.signTypedData(typedData.domain, typedData.types, typedData.message);
+
+    const launch = {
+      id: crypto.randomUUID(),
+      status: 'submitting',
+      createdAt: new Date().toISOString(),
+      wallet: walletResult.name,
+      account: walletResult.account,
+      creator: walletAddress,
+      name,
+      symbol,
+      timestamp,
+      ...metadata,
+      logo: logo ? logoSummary(logo) : null,
+      request: {
         walletAddress,
         signature,
-        message,
+        typedData,
         name,
         symbol,
         timestamp,
-        url: url || null,
-        github: github || null,
-        description: description || null,
-      })
-    });
-
-    const result = await response.json();
-
-    if (!response.ok || !result.success) {
-      return {
-        success: false,
-        error: result.error || 'Failed to launch coin'
-      };
-    }
-
-    return {
-      success: true,
-      message: 'Coin launched successfully!',
-      coin: {
-        id: result.tokenAddress,
-        name,
-        symbol,
-        totalSupply: result.totalSupply,
-        contractAddress: result.tokenAddress,
-        transactionHash: result.transactionHash,
-        creator: walletAddress,
-        status: 'launched',
-        url: url || null,
-        github: github || null,
-        description: description || null,
+        ...metadata,
+        logo: logo ? logoSummary(logo) : null
       }
     };
-  } catch (err) {
-    // API not available - run in stub mode for testing
-    if (err.cause?.code === 'ECONNREFUSED' || err.message.includes('fetch')) {
-      console.error('API not available, running in stub mode');
-
-      const mockTxHash = `0x${Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('')}`;
-      const mockContractAddress = `0x${Array(40).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('')}`;
-
-      return {
-        success: true,
-        message: 'Coin launched (STUB MODE - API not available)',
-        coin: {
-          id: mockContractAddress,
-          name,
-          symbol,
-          contractAddress: mockContractAddress,
-          transactionHash: mockTxHash,
-          creator: walletAddress,
-          status: 'launched',
-          url: url || null,
-          github: github || null,
-          description: description || null,
-        },
-        note: 'Running in stub mode because deployment API is not available.'
-      };
-    }
+    saveLaunch(launch);
 
+    return await submitLaunch(launch);
+  } catch (err) {
     return {
       success: false,
-      error: `Launch failed: ${err.message}`
+      error: `Launch failed: ${err.message}`,
+      apiUrl: API_BASE_URL
     };
   }
 }
 
+/**
+ * Coins on the indexer matching a saved launch: same creator and symbol,
+ * launched at or after the launch request
+ */
+async function findLaunchedToken(launch) {
+  const data = await queryGraphQL(GRAPHQL_URL, `
+    query PendingLaunch($creator: String!, $symbol: String!, $since: BigInt!) {
+      tokens(where: { creator: $creator, symbol: $symbol, launchTimestamp_gte: $since }, orderBy: "launchTimestamp", orderDirection: "asc", limit: 10) {
+        items { id name symbol creator launchTimestamp }
+      }
+    }
+  `, {
+    creator: launch.creator.toLowerCase(),
+    symbol: launch.symbol,
+    since: String(Math.floor(launch.timestamp / 1000))
+  });
+  return (data?.tokens?.items || []).find((t) => t.name === launch.name) || null;
+}
+
+/**
+ * Settle launches whose outcome is unknown (the API never answered, or the
+ * server stopped mid-request): one by its launchId, or all of them.
+ *
+ * A coin found on the indexer by creator, symbol and launch time means
+ * the launch went through. Otherwise, while the signed request has not
+ * expired, it is submitted again under the same idempotency key; once it
+ * has expired the API can no longer deploy it and it is marked expired.
+ */
+export async function resumeLaunches({ launchId } = {}) {
+  const launches = loadLaunches();
+  let pending;
+  if (launchId) {
+    const launch = launches.find((l) => l.id === launchId);
+    if (!launch) {
+      return { success: false, error: `Launch ${launchId} not found` };
+    }
+    pending = [launch];
+  } else {
+    pending = launches.filter((l) => UNRESOLVED_STATUSES.includes(l.status));
+  }
+
+  const results = [];
+  for (const launch of pending) {
+    const summary = { launchId: launch.id, name: launch.name, symbol: launch.symbol, creator: launch.creator, createdAt: launch.createdAt };
+    if (!UNRESOLVED_STATUSES.includes(launch.status)) {
+      results.push({ ...summary, outcome: launch.status, tokenAddress: launch.tokenAddress, transactionHash: launch.transactionHash, error: launch.lastError, note: 'Already settled' });
+      continue;
+    }
+
+    let token;
+    try {
+      token = await findLaunchedToken(launch);
+    } catch (err) {
+      results.push({ ...summary, outcome: 'unknown', error: `Could not ask the indexer: ${err.message}` });
+      continue;
+    }
+
+    if (token) {
+      const finished = await finishLaunch(launch, { tokenAddress: ethers.getAddress(token.id) });
+      results.push({ ...summary, outcome: 'launched', tokenAddress: finished.coin.contractAddress, verification: finished.verification });
+      continue;
+    }
+
+    if (Math.floor(Date.now() / 1000) <= launch.request.typedData.message.expiry) {
+      const retried = await submitLaunch(launch);
+      results.push(retried.success
+        ? { ...summary, outcome: 'launched', tokenAddress: retried.coin.contractAddress, transactionHash: retried.coin.transactionHash, verification: retried.verification }
+        : { ...summary, outcome: retried.status || 'failed', error: retried.error });
+      continue;
+    }
+
+    saveLaunch({ ...launch, status: 'expired', resolvedAt: new Date().toISOString() });
+    results.push({ ...summary, outcome: 'expired', note: 'Not on the indexer, and the signed request has expired so the API can no longer deploy it. If the indexer is up to date, it is safe to launch again.' });
+  }
+
+  return {
+    success: true,
+    resumed: results.length,
+    launches: results,
+    message: results.length === 0 ? 'No launches with an unknown outcome.' : undefined
+  };
+}
+
 /**
  * Get status of the deployment API (via stats endpoint)
  */
 export async function getApiStatus() {
+  if (OFFLINE_MODE) {
+    return {
+      available: true,
+      message: 'Offline mode: launches, stats and indexer queries are answered locally. Nothing is deployed.',
+      ...offlineStats()
+    };
+  }
+
   try {
     const response = await fetch(`${API_BASE_URL}/api/stats`);
     const result = await response.json();
@@ -138,7 +708,7 @@ export async function getApiStatus() {
   } catch (err) {
     return {
       available: false,
-      message: 'Indexer API not available. Launches will run in stub mode.',
+      message: 'Indexer API not available. Launches will fail until it is reachable (set VIBECOIN_OFFLINE=1 to try launches against a local stand-in).',
       apiUrl: API_BASE_URL
     };
   }
@@ -0,0 +1,313 @@
+import { ethers } from "ethers";
+import { hashLogo } from "./logo.js";
+
+// Launch authorization as EIP-712 typed data. Unlike a free-text message,
+// the signature is bound to one chain, one API-issued nonce and a short
+// validity window, and covers every metadata field through its hash.
+const LAUNCH_DOMAIN = { name: "Vibecoins", version: "1" };
+
+export const LAUNCH_TYPES = {
+  LaunchRequest: [
+    { name: "creator", type: "address" },
+    { name: "name", type: "string" },
+    { name: "symbol", type: "string" },
+    { name: "metadataHash", type: "bytes32" },
+    { name: "nonce", type: "bytes32" },
+    { name: "issuedAt", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+const METADATA_TYPES = {
+  Metadata: [
+    { name: "url", type: "string" },
+    { name: "github", type: "string" },
+    { name: "description", type: "string" },
+    { name: "longDescription", type: "string" },
+    { name: "twitter", type: "string" },
+    { name: "telegram", type: "string" },
+    { name: "discord", type: "string" },
+    { name: "tags", type: "string[]" },
+    { name: "logoHash", type: "bytes32" },
+  ],
+};
+
+// How long a signed launch request stays valid
+export const LAUNCH_REQUEST_TTL_SECONDS = parseInt(
+  process.env.LAUNCH_REQUEST_TTL_SECONDS || "600",
+  10
+);
+
+// Verifiers accept at most this validity window, and this much clock skew
+const MAX_TTL_SECONDS = 3600;
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * EIP-712 struct hash of the metadata fields; missing fields hash as "",
+ * no tags as [], and the logo (a data URI) by the keccak256 of its image.
+ * Throws when the logo is not a supported data URI.
+ */
+export function hashLaunchMetadata({
+  url,
+  github,
+  description,
+  longDescription,
+  twitter,
+  telegram,
+  discord,
+  tags,
+  logo,
+}) {
+  return ethers.TypedDataEncoder.hashStruct("Metadata", METADATA_TYPES, {
+    url: url || "",
+    github: github || "",
+    description: description || "",
+    longDescription: longDescription || "",
+    twitter: twitter || "",
+    telegram: telegram || "",
+    discord: discord || "",
+    tags: tags || [],
+    logoHash: hashLogo(logo),
+  });
+}
+
+/**
+ * Typed data of a launch request: { domain, types, primaryType, message },
+ * ready for signTypedData and to be sent to the API as is
+ */
+export function buildLaunchRequest({
+  creator,
+  name,
+  symbol,
+  metadata,
+  nonce,
+  chainId,
+  issuedAt = Math.floor(Date.now() / 1000),
+  ttlSeconds = LAUNCH_REQUEST_TTL_SECONDS,
+}) {
+  return {
+    domain: { ...LAUNCH_DOMAIN, chainId: Number(chainId) },
+    types: LAUNCH_TYPES,
+    primaryType: "LaunchRequest",
+    message: {
+      creator: ethers.getAddress(creator),
+      name,
+      symbol,
+      metadataHash: hashLaunchMetadata(metadata),
+      nonce,
+      issuedAt,
+      expiry: issuedAt + ttlSeconds,
+    },
+  };
+}
+
+/**
+ * Check a signed launch request the way the launch API does:
+ * domain and chain, signer = creator, name, symbol and metadata match the
+ * request body, and the request is within its validity window. The caller
+ * still has to check that the nonce was issued to this creator and is
+ * unused.
+ *
+ * request: { typedData, signature, name, symbol } and the metadata fields
+ * (url, github, description, longDescription, twitter, telegram, discord,
+ * tags, logo as a data URI)
+ * Returns { valid: true, creator, nonce } or { valid: false, error }.
+ */
+export function verifyLaunchRequest(
+  request,
+  { chainId, now = Math.floor(Date.now() / 1000) }
+) {
+  const { typedData, signature } = request;
+  const fail = (error) => ({ valid: false, error });
+
+  if (!typedData?.domain || !typedData?.message || !signature) {
+    return fail("A typed launch request and its signature are required");
+  }
+  const { domain, message } = typedData;
+  if (
+    domain.name !== LAUNCH_DOMAIN.name ||
+    domain.version !== LAUNCH_DOMAIN.version ||
+    Object.keys(domain).length !== 3
+  ) {
+    return fail("The request is not signed for the Vibecoins launch domain");
+  }
+  if (Number(domain.chainId) !== Number(chainId)) {
+    return fail(
+      `The request is signed for chain ${domain.chainId}, not chain ${chainId}`
+    );
+  }
+
+  let signer;
+  try {
+    // Our own types, whatever the request claims them to be
+    signer = ethers.verifyTypedData(domain, LAUNCH_TYPES, message, signature);
+  } catch (err) {
+    return fail(`Invalid signature: ${err.message}`);
+  }
+  if (
+    !ethers.isAddress(message.creator) ||
+    signer !== ethers.getAddress(message.creator)
+  ) {
+    return fail("The request is not signed by its creator");
+  }
+
+  if (message.name !== request.name || message.symbol !== request.symbol) {
+    return fail("Name or symbol differ from the signed request");
+  }
+  let metadataHash;
+  try {
+    metadataHash = hashLaunchMetadata(request);
+  } catch (err) {
+    return fail(`Invalid metadata: ${err.message}`);
+  }
+  if (message.metadataHash !== metadataHash) {
+    return fail(
+      "The metadata (links, descriptions, tags or logo) differ from the signed request"
+    );
+  }
+
+  const issuedAt = Number(message.issuedAt);
+  const expiry = Number(message.expiry);
+  if (issuedAt > now + CLOCK_SKEW_SECONDS) {
+    return fail("The request is issued in the future");
+  }
+  if (expiry - issuedAt > MAX_TTL_SECONDS) {
+    return fail(
+      `The request is valid for more than ${MAX_TTL_SECONDS} seconds`
+    );
+  }
+  if (now > expiry) {
+    return fail("The request has expired");
+  }
+
+  return { valid: true, creator: signer, nonce: message.nonce };
+}
+
+// Post-launch metadata changes, signed by the token's creator. version is
+// one more than the token's current metadataVersion, so an older update
+// (or a replay of one) is rejected once a newer one went through.
+export const METADATA_UPDATE_TYPES = {
+  MetadataUpdate: [
+    { name: "token", type: "address" },
+    { name: "creator", type: "address" },
+    { name: "url", type: "string" },
+    { name: "github", type: "string" },
+    { name: "description", type: "string" },
+    { name: "version", type: "uint256" },
+    { name: "issuedAt", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+/**
+ * Typed data of a metadata update: { domain, types, primaryType, message }.
+ * Missing fields are signed as "" (cleared).
+ */
+export function buildMetadataUpdate({
+  token,
+  creator,
+  url,
+  github,
+  description,
+  version,
+  chainId,
+  issuedAt = Math.floor(Date.now() / 1000),
+  ttlSeconds = LAUNCH_REQUEST_TTL_SECONDS,
+}) {
+  return {
+    domain: { ...LAUNCH_DOMAIN, chainId: Number(chainId) },
+    types: METADATA_UPDATE_TYPES,
+    primaryType: "MetadataUpdate",
+    message: {
+      token: ethers.getAddress(token),
+      creator: ethers.getAddress(creator),
+      url: url || "",
+      github: github || "",
+      description: description || "",
+      version,
+      issuedAt,
+      expiry: issuedAt + ttlSeconds,
+    },
+  };
+}
+
+/**
+ * Check a signed metadata update the way the API does: domain and chain,
+ * signer = creator, fields match the request body, validity window. The
+ * caller still has to check that the creator launched the token and that
+ * version is the token's current metadataVersion + 1.
+ *
+ * request: { typedData, signature, token, url, github, description }
+ * Returns { valid: true, creator, token, version } or { valid: false, error }.
+ */
+export function verifyMetadataUpdate(
+  request,
+  { chainId, now = Math.floor(Date.now() / 1000) }
+) {
+  const { typedData, signature } = request;
+  const fail = (error) => ({ valid: false, error });
+
+  if (!typedData?.domain || !typedData?.message || !signature) {
+    return fail("A typed metadata update and its signature are required");
+  }
+  const { domain, message } = typedData;
+  if (
+    domain.name !== LAUNCH_DOMAIN.name ||
+    domain.version !== LAUNCH_DOMAIN.version ||
+    Object.keys(domain).length !== 3
+  ) {
+    return fail("The update is not signed for the Vibecoins domain");
+  }
+  if (Number(domain.chainId) !== Number(chainId)) {
+    return fail(
+      `The update is signed for chain ${domain.chainId}, not chain ${chainId}`
+    );
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(
+      domain,
+      METADATA_UPDATE_TYPES,
+      message,
+      signature
+    );
+  } catch (err) {
+    return fail(`Invalid signature: ${err.message}`);
+  }
+  if (
+    !ethers.isAddress(message.creator) ||
+    signer !== ethers.getAddress(message.creator)
+  ) {
+    return fail("The update is not signed by its creator");
+  }
+
+  if (
+    !ethers.isAddress(request.token) ||
+    ethers.getAddress(request.token) !== ethers.getAddress(message.token) ||
+    ["url", "github", "description"].some(
+      (field) => (request[field] || "") !== message[field]
+    )
+  ) {
+    return fail("The token or metadata differ from the signed update");
+  }
+
+  const issuedAt = Number(message.issuedAt);
+  const expiry = Number(message.expiry);
+  if (issuedAt > now + CLOCK_SKEW_SECONDS) {
+    return fail("The update is issued in the future");
+  }
+  if (expiry - issuedAt > MAX_TTL_SECONDS) {
+    return fail(`The update is valid for more than ${MAX_TTL_SECONDS} seconds`);
+  }
+  if (now > expiry) {
+    return fail("The update has expired");
+  }
+
+  return {
+    valid: true,
+    creator: signer,
+    token: ethers.getAddress(message.token),
+    version: Number(message.version),
+  };
+}
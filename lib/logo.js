@@ -0,0 +1,100 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+// Logos travel inline in the launch request, as a data URI
+export const LOGO_MAX_BYTES = 128 * 1024;
+
+// Accepted formats, recognized by their first bytes and not by the file
+// extension. SVG is left out: it can carry scripts.
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/png", offset: 0, bytes: "89504e470d0a1a0a" },
+  { mimeType: "image/jpeg", offset: 0, bytes: "ffd8ff" },
+  { mimeType: "image/gif", offset: 0, bytes: "47494638" },
+  { mimeType: "image/webp", offset: 8, bytes: "57454250" },
+];
+
+const DATA_URI_PATTERN =
+  /^data:(image\/(?:png|jpeg|gif|webp));base64,([A-Za-z0-9+/]+={0,2})$/;
+
+function sniffImageType(data) {
+  const hex = data.subarray(0, 16).toString("hex");
+  const match = IMAGE_SIGNATURES.find(
+    ({ offset, bytes }) =>
+      hex.startsWith(bytes, offset * 2) &&
+      (offset === 0 || hex.startsWith("52494646"))
+  );
+  return match?.mimeType || null;
+}
+
+/**
+ * Read a local logo image and check it: PNG, JPEG, GIF or WebP, at most
+ * LOGO_MAX_BYTES. Returns { success, file, mimeType, size, hash, dataUri },
+ * where hash is the keccak256 of the image bytes that launch requests sign.
+ */
+export function loadLogo(file) {
+  const resolved = path.resolve(file);
+  let stat;
+  try {
+    stat = fs.statSync(resolved);
+  } catch {
+    return { success: false, error: `Logo not found: ${resolved}` };
+  }
+  if (!stat.isFile()) {
+    return { success: false, error: `Logo is not a file: ${resolved}` };
+  }
+  if (stat.size > LOGO_MAX_BYTES) {
+    return {
+      success: false,
+      error: `Logo is ${Math.ceil(stat.size / 1024)} KB; at most ${
+        LOGO_MAX_BYTES / 1024
+      } KB are allowed`,
+    };
+  }
+
+  const data = fs.readFileSync(resolved);
+  const mimeType = sniffImageType(data);
+  if (!mimeType) {
+    return {
+      success: false,
+      error: `Logo ${resolved} is not a PNG, JPEG, GIF or WebP image`,
+    };
+  }
+
+  return {
+    success: true,
+    file: resolved,
+    mimeType,
+    size: data.length,
+    hash: ethers.keccak256(data),
+    dataUri: `data:${mimeType};base64,${data.toString("base64")}`,
+  };
+}
+
+/**
+ * keccak256 of the image in a logo data URI, or the zero hash without a
+ * logo. Throws when the data URI is not a supported base64 image.
+ */
+export function hashLogo(dataUri) {
+  if (!dataUri) {
+    return ethers.ZeroHash;
+  }
+  const match = DATA_URI_PATTERN.exec(dataUri);
+  if (!match) {
+    throw new Error("The logo is not a base64 PNG, JPEG, GIF or WebP data URI");
+  }
+  return ethers.keccak256(Buffer.from(match[2], "base64"));
+}
+
+/**
+ * Short description of a logo for display: its URL, or the type and size
+ * of an inline image
+ */
+export function describeLogo(logo) {
+  const match = DATA_URI_PATTERN.exec(logo || "");
+  if (!match) {
+    return logo || null;
+  }
+  const size = Buffer.from(match[2], "base64").length;
+  return `${match[1]}, ${(size / 1024).toFixed(1)} KB inline`;
+}
@@ -0,0 +1,272 @@
+import { ethers } from "ethers";
+import { getWalletAddress, getDecryptedWallet } from "./wallet.js";
+import { recordTransaction, updateTransaction } from "./history.js";
+import { checkAction } from "./policy.js";
+import { queryGraphQL } from "./indexer.js";
+import { resolveAddress } from "./addressbook.js";
+import { validateLaunchInput } from "./launcher.js";
+import { buildMetadataUpdate } from "./launchrequest.js";
+import {
+  OFFLINE_MODE,
+  OFFLINE_CHAIN_ID,
+  offlineUpdateMetadata,
+} from "./offline.js";
+
+const API_BASE_URL =
+  process.env.LAUNCHER_API_URL || "https://vibecoin.up.railway.app";
+const GRAPHQL_URL = process.env.GRAPHQL_URL || `${API_BASE_URL}/graphql`;
+const RPC_URL = process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+const UPDATE_REQUEST_TIMEOUT_MS = 60000;
+
+// The metadata a creator can change after the launch
+const UPDATABLE_FIELDS = ["url", "github", "description"];
+
+async function fetchToken(tokenAddress) {
+  const data = await queryGraphQL(
+    GRAPHQL_URL,
+    `
+      query TokenMetadata($id: String!) {
+        token(id: $id) {
+          id
+          name
+          symbol
+          creator
+          url
+          github
+          description
+          metadataVersion
+        }
+      }
+    `,
+    { id: tokenAddress.toLowerCase() }
+  );
+  return data?.token || null;
+}
+
+/**
+ * Send a signed metadata update to the API (or, in offline mode, to the
+ * local stand-in). Returns the API's JSON answer.
+ */
+async function postMetadataUpdate(request) {
+  if (OFFLINE_MODE) {
+    return offlineUpdateMetadata(request);
+  }
+  const response = await fetch(`${API_BASE_URL}/api/token/metadata`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+    signal: AbortSignal.timeout(UPDATE_REQUEST_TIMEOUT_MS),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 409) {
+    return { ...result, success: false, stale: true };
+  }
+  return response.ok
+    ? result
+    : {
+        ...result,
+        success: false,
+        error: result.error || `the API returned HTTP ${response.status}`,
+      };
+}
+
+/**
+ * Change the url, github or description of a launched token. Fields left
+ * out keep their current value; an empty string clears one.
+ *
+ * Before anything is signed, the indexer's creator of the token must be
+ * the wallet's address. The creator then signs a MetadataUpdate whose
+ * version is the token's metadataVersion + 1: the API applies only the
+ * next version, so an update signed against older metadata is rejected as
+ * stale instead of overwriting a newer one.
+ */
+export async function updateMetadata({
+  password,
+  tokenAddress,
+  walletName,
+  account,
+  ...changes
+}) {
+  if (!tokenAddress) {
+    return { success: false, error: "tokenAddress is required" };
+  }
+  const given = UPDATABLE_FIELDS.filter(
+    (field) => changes[field] !== undefined
+  );
+  if (given.length === 0) {
+    return {
+      success: false,
+      error: `Nothing to update: give at least one of ${UPDATABLE_FIELDS.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const errors = validateLaunchInput(changes).filter((e) =>
+    UPDATABLE_FIELDS.includes(e.field)
+  );
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: errors.map((e) => e.error).join("; "),
+      errors,
+    };
+  }
+
+  const allowed = checkAction("update-metadata");
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  const resolved = await resolveAddress(tokenAddress, RPC_URL);
+  if (!resolved.success) {
+    return resolved;
+  }
+  const token = resolved.address;
+
+  let indexed;
+  try {
+    indexed = await fetchToken(token);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not look the token up on the indexer: ${err.message}`,
+    };
+  }
+  if (!indexed) {
+    return {
+      success: false,
+      error: `${token} is not a Vibecoins token (not on the indexer)`,
+    };
+  }
+
+  // Only the creator can update, so don't ask for a signature that the API
+  // would refuse anyway
+  const walletAddress = getWalletAddress(walletName, account);
+  if (!walletAddress.success) {
+    return walletAddress;
+  }
+  const creator = ethers.getAddress(indexed.creator);
+  if (walletAddress.address !== creator) {
+    return {
+      success: false,
+      error: `${indexed.name} (${indexed.symbol}) was created by ${creator}, not by ${walletAddress.address}. Only the creator wallet can update its metadata.`,
+    };
+  }
+
+  const previous = Object.fromEntries(
+    UPDATABLE_FIELDS.map((field) => [field, indexed[field] || null])
+  );
+  const updated = Object.fromEntries(
+    UPDATABLE_FIELDS.map((field) => [
+      field,
+      changes[field] !== undefined ? changes[field] || null : previous[field],
+    ])
+  );
+  if (UPDATABLE_FIELDS.every((field) => updated[field] === previous[field])) {
+    return {
+      success: false,
+      error: "Nothing to update: the metadata is already like this",
+      metadata: previous,
+    };
+  }
+
+  const walletResult = getDecryptedWallet(password, walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  if (walletResult.address !== creator) {
+    return {
+      success: false,
+      error: `The unlocked wallet's address ${walletResult.address} is not the creator ${creator}`,
+    };
+  }
+
+  try {
+    // The API rejects an update signed for another chain than its own
+    const chainId = OFFLINE_MODE
+      ? OFFLINE_CHAIN_ID
+      : (await new ethers.JsonRpcProvider(RPC_URL).getNetwork()).chainId;
+    const version = Number(indexed.metadataVersion || 0) + 1;
+    const typedData = buildMetadataUpdate({
+      token,
+      creator,
+      ...updated,
+      version,
+      chainId,
+    });
+    const signature = await walletResult.wallet.signTypedData(
+      typedData.domain,
+      typedData.types,
+      typedData.message
+    );
+
+    const historyId = recordTransaction({
+      type: "metadata-update",
+      status: "signed",
+      wallet: walletResult.name,
+      account: walletResult.account,
+      from: creator,
+      to: token,
+      token,
+      chain: { chainId: Number(chainId) },
+      description: `Update metadata of ${indexed.name} (${indexed.symbol}) to version ${version}`,
+      digest: ethers.TypedDataEncoder.hash(
+        typedData.domain,
+        typedData.types,
+        typedData.message
+      ),
+    });
+
+    const result = await postMetadataUpdate({
+      token,
+      ...updated,
+      typedData,
+      signature,
+    });
+    updateTransaction(historyId, {
+      status: !result.success
+        ? "failed"
+        : OFFLINE_MODE
+        ? "offline"
+        : "confirmed",
+      error: result.success ? undefined : result.error,
+    });
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.stale
+          ? `Rejected as stale: the metadata changed since version ${
+              version - 1
+            } was read (${
+              result.error || "a newer version exists"
+            }). Check the token with listings and update again.`
+          : `Metadata update failed: ${result.error || "unknown error"}`,
+        token,
+        version,
+      };
+    }
+
+    return {
+      success: true,
+      message: OFFLINE_MODE
+        ? "Metadata updated (OFFLINE MODE - only the local stand-in changed)"
+        : "Metadata updated",
+      offline: OFFLINE_MODE || undefined,
+      token,
+      name: indexed.name,
+      symbol: indexed.symbol,
+      metadataVersion: result.metadataVersion ?? version,
+      previous,
+      metadata: updated,
+      note: "The indexer may take a moment to show the new metadata in listings.",
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Metadata update failed: ${err.message}`,
+      token,
+    };
+  }
+}
@@ -0,0 +1,378 @@
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from "./storage.js";
+import { verifyLaunchRequest, verifyMetadataUpdate } from "./launchrequest.js";
+
+// Offline mode answers the launch API, /api/stats and the GraphQL indexer
+// locally, so launches and the tools that read them can be tried without
+// the hosted API. Nothing is deployed: tokens exist only in this file.
+export const OFFLINE_MODE = ["1", "true", "yes"].includes(
+  (process.env.VIBECOIN_OFFLINE || "").toLowerCase()
+);
+
+const OFFLINE_FILE = path.join(DATA_DIR, "offline.json");
+
+// The chain the stand-in says it deploys on, like the real API: mainnet
+export const OFFLINE_CHAIN_ID = 1;
+
+// Tokenomics of a real launch: 1 billion tokens, 49% to the creator,
+// vested linearly over 6 months
+const TOTAL_SUPPLY = ethers.parseEther("1000000000");
+const CREATOR_SHARE = (TOTAL_SUPPLY * 49n) / 100n;
+const VESTING_DURATION = 180 * 86400;
+
+// Unused launch nonces are dropped after this long (the longest a signed
+// launch request can stay valid)
+const NONCE_TTL_SECONDS = 3600;
+
+function loadStore() {
+  if (!fs.existsSync(OFFLINE_FILE)) {
+    return { tokens: [], vestingSchedules: [], nonces: [] };
+  }
+  return { nonces: [], ...JSON.parse(fs.readFileSync(OFFLINE_FILE, "utf8")) };
+}
+
+// Drop the nonces that can no longer be used
+function pruneNonces(store) {
+  const oldest = Math.floor(Date.now() / 1000) - NONCE_TTL_SECONDS;
+  store.nonces = store.nonces.filter((n) => n.issuedAt >= oldest);
+}
+
+function saveStore(store) {
+  ensureDataDir();
+  writeFileAtomic(OFFLINE_FILE, JSON.stringify(store, null, 2));
+}
+
+/**
+ * Stand-in for GET /api/launch/nonce: a fresh nonce for one creator's
+ * next launch request, and the chain the request must be signed for
+ */
+export function offlineLaunchNonce(creator) {
+  const store = loadStore();
+  pruneNonces(store);
+  const nonce = ethers.hexlify(ethers.randomBytes(32));
+  store.nonces.push({
+    creator: creator.toLowerCase(),
+    nonce,
+    issuedAt: Math.floor(Date.now() / 1000),
+  });
+  saveStore(store);
+  return { success: true, nonce, chainId: OFFLINE_CHAIN_ID };
+}
+
+/**
+ * Stand-in for POST /api/launch. Checks the signed request like the API
+ * does (verifyLaunchRequest, then the nonce is consumed), then records a
+ * token whose address and transaction hash are derived from
+ * the creator, name, symbol and how many tokens the creator launched
+ * before: the same launches always produce the same tokens.
+ */
+export function offlineLaunch(request, idempotencyKey) {
+  const {
+    walletAddress,
+    name,
+    symbol,
+    timestamp,
+    url,
+    github,
+    description,
+    longDescription,
+    twitter,
+    telegram,
+    discord,
+    tags,
+    logo,
+  } = request;
+
+  // A retried request gets the answer of the first one
+  const store = loadStore();
+  const done =
+    idempotencyKey &&
+    store.tokens.find((t) => t.idempotencyKey === idempotencyKey);
+  if (done) {
+    return launchResult(done);
+  }
+
+  const check = verifyLaunchRequest(request, { chainId: OFFLINE_CHAIN_ID });
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+  if (check.creator !== ethers.getAddress(walletAddress)) {
+    return { success: false, error: "The request is signed by another wallet" };
+  }
+
+  const creator = walletAddress.toLowerCase();
+  pruneNonces(store);
+  const issued = store.nonces.findIndex(
+    (n) => n.nonce === check.nonce && n.creator === creator
+  );
+  if (issued === -1) {
+    return { success: false, error: "Unknown or already used nonce" };
+  }
+  store.nonces.splice(issued, 1);
+
+  const previous = store.tokens.filter((t) => t.creator === creator).length;
+  const transactionHash = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["string", "address", "string", "string", "uint256"],
+      ["vibecoin-offline", walletAddress, name, symbol, previous]
+    )
+  );
+  const id = ethers.dataSlice(ethers.keccak256(transactionHash), 12);
+  const launchTimestamp = Math.floor(timestamp / 1000);
+
+  const token = {
+    id,
+    idempotencyKey: idempotencyKey || null,
+    name,
+    symbol,
+    creator,
+    transactionHash,
+    totalSupply: TOTAL_SUPPLY.toString(),
+    url: url || null,
+    github: github || null,
+    description: description || null,
+    longDescription: longDescription || null,
+    twitter: twitter || null,
+    telegram: telegram || null,
+    discord: discord || null,
+    tags: tags || [],
+    logo: logo || null,
+    metadataVersion: 0,
+    launchTimestamp: String(launchTimestamp),
+    totalVolumeUsd: "0",
+    totalSwapCount: 0,
+    lastSwapTimestamp: null,
+    currentPriceUsd: "0",
+    totalEthFeesAccumulated: "0",
+    totalTokenFeesAccumulated: "0",
+    totalFeesCollected: "0",
+    // There is no pool on-chain; this key matches none, so fee lookups
+    // against the hook find nothing to collect
+    poolCurrency0: ethers.ZeroAddress,
+    poolCurrency1: id,
+    poolFee: 0,
+    poolTickSpacing: 0,
+    poolHooks: ethers.ZeroAddress,
+  };
+  store.tokens.push(token);
+  store.vestingSchedules.push({
+    beneficiary: creator,
+    token: id,
+    totalAmount: CREATOR_SHARE.toString(),
+    released: "0",
+    startTime: launchTimestamp,
+    endTime: launchTimestamp + VESTING_DURATION,
+  });
+  saveStore(store);
+
+  return launchResult(token);
+}
+
+/**
+ * Stand-in for POST /api/token/metadata. Checks the signed update like the
+ * API does: signature, the signer created the token, and the version is
+ * the next one. Stale or replayed updates are rejected.
+ */
+export function offlineUpdateMetadata(request) {
+  const check = verifyMetadataUpdate(request, { chainId: OFFLINE_CHAIN_ID });
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+
+  const store = loadStore();
+  const token = store.tokens.find((t) => t.id === check.token.toLowerCase());
+  if (!token) {
+    return { success: false, error: `Unknown token ${check.token}` };
+  }
+  if (token.creator !== check.creator.toLowerCase()) {
+    return {
+      success: false,
+      error: "The update is not signed by the token's creator",
+    };
+  }
+  const current = token.metadataVersion || 0;
+  if (check.version !== current + 1) {
+    return {
+      success: false,
+      stale: true,
+      error: `Stale update: version ${check.version} given, the token is at version ${current}`,
+      metadataVersion: current,
+    };
+  }
+
+  token.url = request.url || null;
+  token.github = request.github || null;
+  token.description = request.description || null;
+  token.metadataVersion = check.version;
+  saveStore(store);
+
+  return {
+    success: true,
+    token: check.token,
+    metadataVersion: token.metadataVersion,
+  };
+}
+
+function launchResult(token) {
+  return {
+    success: true,
+    tokenAddress: ethers.getAddress(token.id),
+    transactionHash: token.transactionHash,
+    totalSupply: String(BigInt(token.totalSupply) / ethers.WeiPerEther),
+  };
+}
+
+/**
+ * Stand-in for GET /api/stats
+ */
+export function offlineStats() {
+  const { tokens } = loadStore();
+  return {
+    offline: true,
+    totalTokens: tokens.length,
+    totalCreators: new Set(tokens.map((t) => t.creator)).size,
+    store: OFFLINE_FILE,
+  };
+}
+
+/**
+ * Token info and vesting schedule as the vesting manager's getSchedule
+ * would return them: [total, released, releasable, start, end], all zero
+ * when the beneficiary has no schedule for the token.
+ */
+export function offlineVesting(beneficiary, tokenAddress) {
+  const store = loadStore();
+  const id = tokenAddress.toLowerCase();
+  const token = store.tokens.find((t) => t.id === id);
+  const schedule = store.vestingSchedules.find(
+    (s) => s.token === id && s.beneficiary === beneficiary.toLowerCase()
+  );
+  if (!schedule) {
+    return {
+      name: token?.name || "Unknown",
+      symbol: token?.symbol || "UNKNOWN",
+      decimals: 18,
+      schedule: [0n, 0n, 0n, 0n, 0n],
+    };
+  }
+
+  const total = BigInt(schedule.totalAmount);
+  const released = BigInt(schedule.released);
+  const start = BigInt(schedule.startTime);
+  const end = BigInt(schedule.endTime);
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  const vested =
+    now >= end
+      ? total
+      : now <= start
+      ? 0n
+      : (total * (now - start)) / (end - start);
+  return {
+    name: token.name,
+    symbol: token.symbol,
+    decimals: 18,
+    schedule: [total, released, vested - released, start, end],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// GraphQL: the queries this server sends, recognized by their operation
+// name and answered from the offline tokens
+// ---------------------------------------------------------------------------
+
+function listTokens(store, filter, { orderBy, descending = false, limit }) {
+  const items = store.tokens.filter(filter);
+  if (orderBy) {
+    const direction = descending ? -1 : 1;
+    items.sort(
+      (a, b) => direction * (Number(a[orderBy] ?? 0) - Number(b[orderBy] ?? 0))
+    );
+  }
+  return { items: items.slice(0, limit) };
+}
+
+function tokenById(store, id) {
+  return store.tokens.find((t) => t.id === String(id).toLowerCase()) || null;
+}
+
+const byCreator = (creator) => (t) => t.creator === creator.toLowerCase();
+
+const QUERIES = {
+  MyFees: (store, { creator }) => ({
+    tokens: listTokens(store, byCreator(creator), {
+      orderBy: "totalEthFeesAccumulated",
+      descending: true,
+      limit: 100,
+    }),
+    // No price feed offline: like an indexer that has not cached one yet
+    ethPriceCache: null,
+  }),
+  MyTokens: (store, { creator }) => ({
+    tokens: listTokens(store, byCreator(creator), {
+      orderBy: "launchTimestamp",
+      descending: true,
+      limit: 50,
+    }),
+  }),
+  TopTokens: (store) => ({
+    tokens: listTokens(store, () => true, {
+      orderBy: "totalVolumeUsd",
+      descending: true,
+      limit: 10,
+    }),
+  }),
+  ActiveTokens: (store, { since }) => ({
+    tokens: listTokens(
+      store,
+      (t) =>
+        t.lastSwapTimestamp !== null &&
+        Number(t.lastSwapTimestamp) >= Number(since),
+      { orderBy: "lastSwapTimestamp", descending: true, limit: 20 }
+    ),
+  }),
+  SearchToken: (store, { id }) => ({ token: tokenById(store, id) }),
+  TokenPrice: (store, { id }) => ({ token: tokenById(store, id) }),
+  TokenMetadata: (store, { id }) => ({ token: tokenById(store, id) }),
+  LaunchedToken: (store, { id }) => ({ token: tokenById(store, id) }),
+  Duplicates: (store, { name, symbol, upperSymbol }) => ({
+    bySymbol: listTokens(
+      store,
+      (t) => t.symbol === symbol || t.symbol === upperSymbol,
+      { limit: 10 }
+    ),
+    byName: listTokens(store, (t) => t.name === name, { limit: 10 }),
+  }),
+  PendingLaunch: (store, { creator, symbol, since }) => ({
+    tokens: listTokens(
+      store,
+      (t) =>
+        byCreator(creator)(t) &&
+        t.symbol === symbol &&
+        Number(t.launchTimestamp) >= Number(since),
+      { orderBy: "launchTimestamp", limit: 10 }
+    ),
+  }),
+  CreatorTokens: (store, { creator }) => ({
+    tokens: listTokens(store, byCreator(creator), { limit: 100 }),
+  }),
+  GetUserTokens: (store, { creator }) => ({
+    tokens: listTokens(store, byCreator(creator), { limit: 100 }),
+  }),
+};
+
+/**
+ * Stand-in for the indexer: answer one of the server's queries from the
+ * offline tokens, or throw for a query it does not know
+ */
+export function offlineGraphQL(query, variables = {}) {
+  const name = /\bquery\s+([A-Za-z_]\w*)/.exec(query)?.[1];
+  const answer = QUERIES[name];
+  if (!answer) {
+    throw new Error(
+      `Query ${name || "(unnamed)"} is not supported in offline mode`
+    );
+  }
+  return answer(loadStore(), variables);
+}
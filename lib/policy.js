@@ -0,0 +1,284 @@
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR } from "./storage.js";
+import { valueSentSince } from "./history.js";
+
+// Written by the user, never by this server. Without the file nothing is
+// restricted. Example:
+// {
+//   "maxEthPerTx": "0.5",
+//   "dailyEthLimit": "1",
+//   "allowedRecipients": ["0x..."],
+//   "allowedMethods": ["collectFees", "release"],
+//   "actions": { "transfer": false }
+// }
+const POLICY_FILE = path.join(DATA_DIR, "policy.json");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Contract methods this server calls, so rules can name them instead of
+// using raw 4-byte selectors
+const KNOWN_METHODS = new ethers.Interface([
+  "function transfer(address to, uint256 amount)",
+  "function collectFees(bytes32 poolId)",
+  "function release(address beneficiary, address token)",
+]);
+
+function violation(rule, message, details = {}) {
+  return {
+    success: false,
+    error: `Blocked by policy (${rule}): ${message}`,
+    policy: { rule, ...details, file: POLICY_FILE },
+  };
+}
+
+function parseEthLimit(policy, key) {
+  if (policy[key] === undefined || policy[key] === null) {
+    return null;
+  }
+  try {
+    return ethers.parseEther(String(policy[key]));
+  } catch {
+    throw new Error(`${key} must be an ETH amount like "0.5"`);
+  }
+}
+
+/**
+ * Read and validate the policy file. A policy that exists but can't be
+ * read blocks everything: failing open would silently drop every limit.
+ */
+function loadPolicy() {
+  if (!fs.existsSync(POLICY_FILE)) {
+    return { success: true, policy: null };
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(POLICY_FILE, "utf8"));
+    const policy = {
+      maxEthPerTx: parseEthLimit(raw, "maxEthPerTx"),
+      dailyEthLimit: parseEthLimit(raw, "dailyEthLimit"),
+      allowedRecipients: null,
+      allowedMethods: null,
+      actions: raw.actions || {},
+    };
+
+    // Addresses only: labels would let whoever can edit the address book
+    // change what the policy allows
+    if (raw.allowedRecipients) {
+      if (!Array.isArray(raw.allowedRecipients)) {
+        throw new Error("allowedRecipients must be a list of addresses");
+      }
+      policy.allowedRecipients = raw.allowedRecipients.map((address) => {
+        if (!ethers.isAddress(address)) {
+          throw new Error(`allowedRecipients: "${address}" is not an address`);
+        }
+        return ethers.getAddress(address);
+      });
+    }
+    if (raw.allowedMethods) {
+      if (!Array.isArray(raw.allowedMethods)) {
+        throw new Error(
+          "allowedMethods must be a list of method names or selectors"
+        );
+      }
+      policy.allowedMethods = raw.allowedMethods.map(String);
+    }
+    return { success: true, policy };
+  } catch (err) {
+    return violation(
+      "policyFile",
+      `${POLICY_FILE} could not be read (${err.message}). Fix or remove it.`
+    );
+  }
+}
+
+// Who ultimately receives value: the recipient of an ERC-20 transfer, or
+// the target of a call that carries ETH
+function recipientOf(tx) {
+  if (tx.data === "0x") {
+    return tx.to;
+  }
+  try {
+    const call = KNOWN_METHODS.parseTransaction({ data: tx.data });
+    if (call?.name === "transfer") {
+      return ethers.getAddress(call.args[0]);
+    }
+  } catch {
+    // Unknown method
+  }
+  return tx.value > 0n ? tx.to : null;
+}
+
+function methodOf(tx) {
+  if (tx.data === "0x") {
+    return null;
+  }
+  const selector = tx.data.slice(0, 10).toLowerCase();
+  const fragment = KNOWN_METHODS.getFunction(selector);
+  return { selector, name: fragment?.name ?? null };
+}
+
+/**
+ * Check the per-action kill switch (policy "actions": { "<action>": false })
+ */
+export function checkAction(action) {
+  const loaded = loadPolicy();
+  if (!loaded.success || !loaded.policy) {
+    return loaded.success ? { success: true } : loaded;
+  }
+  if (loaded.policy.actions[action] === false) {
+    return violation("actions", `"${action}" is switched off`, { action });
+  }
+  return { success: true };
+}
+
+/**
+ * Check every transaction of a plan against the policy. Returns
+ * { success: true } or a structured error naming the rule that blocked it.
+ */
+export function checkPlan(plan) {
+  const loaded = loadPolicy();
+  if (!loaded.success || !loaded.policy) {
+    return loaded.success ? { success: true } : loaded;
+  }
+  const { policy } = loaded;
+
+  const action = checkAction(plan.action);
+  if (!action.success) {
+    return action;
+  }
+
+  let planValue = 0n;
+  for (const tx of plan.txs) {
+    planValue += tx.value;
+
+    if (policy.maxEthPerTx !== null && tx.value > policy.maxEthPerTx) {
+      return violation(
+        "maxEthPerTx",
+        `${ethers.formatEther(
+          tx.value
+        )} ETH is more than the ${ethers.formatEther(
+          policy.maxEthPerTx
+        )} ETH allowed per transaction`,
+        {
+          limit: ethers.formatEther(policy.maxEthPerTx),
+          attempted: ethers.formatEther(tx.value),
+          transaction: tx.description,
+        }
+      );
+    }
+
+    const recipient = recipientOf(tx);
+    if (
+      policy.allowedRecipients &&
+      recipient &&
+      recipient !== tx.from &&
+      !policy.allowedRecipients.includes(recipient)
+    ) {
+      return violation(
+        "allowedRecipients",
+        `${recipient} is not an allowed recipient`,
+        { recipient, transaction: tx.description }
+      );
+    }
+
+    const method = methodOf(tx);
+    if (
+      policy.allowedMethods &&
+      method &&
+      !policy.allowedMethods.includes(method.name) &&
+      !policy.allowedMethods.includes(method.selector)
+    ) {
+      return violation(
+        "allowedMethods",
+        `contract method ${method.name || method.selector} is not allowed`,
+        {
+          method: method.name,
+          selector: method.selector,
+          contract: tx.to,
+          transaction: tx.description,
+        }
+      );
+    }
+  }
+
+  if (policy.dailyEthLimit !== null) {
+    const since = Date.now() - DAY_MS;
+    const spent = valueSentSince(since);
+    // A replacement shares its nonce with the pending original: only one
+    // of them can be mined, so it is not counted on top of it
+    const planned = plan.txs.map((tx) => ({
+      status: "pending",
+      from: tx.from,
+      nonce: tx.nonce,
+      chain: plan.chain,
+      value: ethers.formatEther(tx.value),
+      timestamp: new Date().toISOString(),
+    }));
+    if (valueSentSince(since, planned) > policy.dailyEthLimit) {
+      return violation(
+        "dailyEthLimit",
+        `sending ${ethers.formatEther(
+          planValue
+        )} ETH would exceed the ${ethers.formatEther(
+          policy.dailyEthLimit
+        )} ETH limit for any 24 hours (${ethers.formatEther(
+          spent
+        )} ETH already sent)`,
+        {
+          limit: ethers.formatEther(policy.dailyEthLimit),
+          spentLast24h: ethers.formatEther(spent),
+          attempted: ethers.formatEther(planValue),
+        }
+      );
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * The active policy and how much of the rolling 24h limit is used
+ */
+export function getPolicyStatus() {
+  const loaded = loadPolicy();
+  if (!loaded.success) {
+    return loaded;
+  }
+  if (!loaded.policy) {
+    return {
+      success: true,
+      file: POLICY_FILE,
+      active: false,
+      message: `No policy file. Create ${POLICY_FILE} to limit what this server can send.`,
+    };
+  }
+
+  const { policy } = loaded;
+  const spent = valueSentSince(Date.now() - DAY_MS);
+  const format = (wei) => (wei === null ? null : ethers.formatEther(wei));
+  return {
+    success: true,
+    file: POLICY_FILE,
+    active: true,
+    rules: {
+      maxEthPerTx: format(policy.maxEthPerTx),
+      dailyEthLimit: format(policy.dailyEthLimit),
+      allowedRecipients: policy.allowedRecipients,
+      allowedMethods: policy.allowedMethods,
+      disabledActions: Object.keys(policy.actions).filter(
+        (action) => policy.actions[action] === false
+      ),
+    },
+    usage: {
+      spentLast24h: ethers.formatEther(spent),
+      remainingLast24h:
+        policy.dailyEthLimit === null
+          ? null
+          : ethers.formatEther(
+              policy.dailyEthLimit > spent ? policy.dailyEthLimit - spent : 0n
+            ),
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// In-memory unlock sessions, so write actions don't need the password on
+// every call. Nothing here is ever written to disk; a restart locks everything.
+
+// Defaults (seconds); overridable per unlock and via environment
+const DEFAULT_TTL = parseInt(process.env.SESSION_TTL_SECONDS || "900", 10);
+const DEFAULT_IDLE = parseInt(process.env.SESSION_IDLE_SECONDS || "300", 10);
+const MAX_TTL = 24 * 60 * 60;
+
+// walletName -> { wallet, hdRoot, unlockedAt, expiresAt, idleSeconds, remainingOperations, timers }
+const sessions = new Map();
+
+function isPositive(seconds) {
+  return Number.isFinite(seconds) && seconds > 0;
+}
+
+/**
+ * Why the unlock options (or the defaults from the environment) can't make
+ * a session that expires, or null if they can
+ */
+export function sessionOptionsError({
+  ttlSeconds,
+  idleSeconds,
+  maxOperations,
+} = {}) {
+  if (!isPositive(DEFAULT_TTL)) {
+    return "SESSION_TTL_SECONDS must be a positive number of seconds";
+  }
+  if (!isPositive(DEFAULT_IDLE)) {
+    return "SESSION_IDLE_SECONDS must be a positive number of seconds";
+  }
+  if (ttlSeconds !== undefined && !isPositive(ttlSeconds)) {
+    return "ttlSeconds must be a positive number of seconds";
+  }
+  if (idleSeconds !== undefined && !isPositive(idleSeconds)) {
+    return "idleSeconds must be a positive number of seconds";
+  }
+  if (
+    maxOperations !== undefined &&
+    !(Number.isInteger(maxOperations) && maxOperations > 0)
+  ) {
+    return "maxOperations must be a positive whole number";
+  }
+  return null;
+}
+
+function clearTimers(session) {
+  clearTimeout(session.ttlTimer);
+  clearTimeout(session.idleTimer);
+}
+
+function armIdleTimer(name, session) {
+  clearTimeout(session.idleTimer);
+  session.idleTimer = setTimeout(
+    () => endSession(name),
+    session.idleSeconds * 1000
+  );
+  // Never keep the process alive just to lock a wallet
+  session.idleTimer.unref();
+}
+
+function describe(name, session) {
+  return {
+    wallet: name,
+    address: session.wallet.address,
+    unlockedAt: new Date(session.unlockedAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    idleTimeoutSeconds: session.idleSeconds,
+    remainingOperations: session.remainingOperations,
+  };
+}
+
+/**
+ * Keep a decrypted signer in memory until the TTL passes, the wallet is idle
+ * for too long, or maxOperations signing operations have used it.
+ * HD wallets also keep their account root so derived accounts can sign.
+ */
+export function startSession(name, wallet, options = {}, hdRoot = null) {
+  endSession(name);
+
+  const ttlSeconds = Math.min(options.ttlSeconds || DEFAULT_TTL, MAX_TTL);
+  const idleSeconds = Math.min(options.idleSeconds || DEFAULT_IDLE, ttlSeconds);
+  const now = Date.now();
+
+  const session = {
+    wallet,
+    hdRoot,
+    unlockedAt: now,
+    expiresAt: now + ttlSeconds * 1000,
+    idleSeconds,
+    remainingOperations: options.maxOperations || null,
+  };
+  session.ttlTimer = setTimeout(() => endSession(name), ttlSeconds * 1000);
+  session.ttlTimer.unref();
+  armIdleTimer(name, session);
+
+  sessions.set(name, session);
+  return describe(name, session);
+}
+
+/**
+ * Take the unlocked signers ({ wallet, hdRoot }) of a wallet for one
+ * operation, or null if locked
+ */
+export function useSession(name) {
+  const session = sessions.get(name);
+  if (!session) {
+    return null;
+  }
+  if (Date.now() >= session.expiresAt) {
+    endSession(name);
+    return null;
+  }
+
+  if (session.remainingOperations !== null) {
+    session.remainingOperations -= 1;
+    if (session.remainingOperations <= 0) {
+      endSession(name);
+      return { wallet: session.wallet, hdRoot: session.hdRoot };
+    }
+  }
+  armIdleTimer(name, session);
+  return { wallet: session.wallet, hdRoot: session.hdRoot };
+}
+
+export function isSessionActive(name) {
+  const session = sessions.get(name);
+  return Boolean(session) && Date.now() < session.expiresAt;
+}
+
+export function getSessionInfo(name) {
+  return isSessionActive(name) ? describe(name, sessions.get(name)) : null;
+}
+
+export function endSession(name) {
+  const session = sessions.get(name);
+  if (!session) {
+    return false;
+  }
+  clearTimers(session);
+  sessions.delete(name);
+  return true;
+}
+
+/**
+ * Lock every wallet; returns the names that were unlocked
+ */
+export function endAllSessions() {
+  const names = [...sessions.keys()];
+  names.forEach(endSession);
+  return names;
+}
@@ -0,0 +1,311 @@
+import { ethers } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Signer backends for wallets whose key is not in wallet.json. A wallet
+// entry without a "signer" field is an encrypted keystore wallet; the
+// others store only where to find the key, never the key itself:
+//   { type: "env", variable }          key in an environment variable
+//   { type: "env", file }              key in a file (hex, one line)
+//   { type: "external", url, flavor }  JSON-RPC signer such as Clef
+// flavor "eth" uses eth_signTransaction / personal_sign /
+// eth_signTypedData_v4, flavor "clef" the account_* methods of Clef.
+const EXTERNAL_FLAVORS = ["eth", "clef"];
+
+// Timeout for one request to an external signer. Clef waits for a human
+// to approve each request in its console, so this is generous.
+const EXTERNAL_SIGNER_TIMEOUT_MS = parseInt(
+  process.env.EXTERNAL_SIGNER_TIMEOUT_MS || "120000",
+  10
+);
+
+function expandHome(file) {
+  return path.resolve(file.replace(/^~(?=$|\/)/, os.homedir()));
+}
+
+function walletFromKey(value, where) {
+  const key = value.trim();
+  try {
+    return new ethers.Wallet(key.startsWith("0x") ? key : `0x${key}`);
+  } catch {
+    throw new Error(`${where} does not contain a valid private key`);
+  }
+}
+
+function readKey(signer) {
+  if (signer.variable) {
+    const value = process.env[signer.variable];
+    if (!value) {
+      throw new Error(
+        `Environment variable ${signer.variable} is not set in the server's environment`
+      );
+    }
+    return walletFromKey(value, `Environment variable ${signer.variable}`);
+  }
+
+  if (!fs.existsSync(signer.file)) {
+    throw new Error(`Key file not found: ${signer.file}`);
+  }
+  return walletFromKey(fs.readFileSync(signer.file, "utf8"), signer.file);
+}
+
+/**
+ * Signer reached over JSON-RPC. Every signature is checked locally: a
+ * signer that returns a signature from another address, or a transaction
+ * other than the one requested, is rejected.
+ */
+export class ExternalSigner extends ethers.AbstractSigner {
+  constructor(url, address, flavor = "eth", provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.flavor = flavor;
+  }
+
+  async #rpc(method, params) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          id: Date.now(),
+          method,
+          params,
+        }),
+        signal: AbortSignal.timeout(EXTERNAL_SIGNER_TIMEOUT_MS),
+      });
+    } catch (err) {
+      throw new Error(
+        `External signer at ${this.url} is not reachable: ${err.message}`
+      );
+    }
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`External signer refused: ${body.error.message}`);
+    }
+    return body.result;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async accounts() {
+    return this.#rpc(
+      this.flavor === "clef" ? "account_list" : "eth_accounts",
+      []
+    );
+  }
+
+  connect(provider) {
+    return new ExternalSigner(this.url, this.address, this.flavor, provider);
+  }
+
+  async signTransaction(tx) {
+    let request = tx;
+    if (!(tx instanceof ethers.Transaction)) {
+      const populated = await this.populateTransaction(tx);
+      delete populated.from;
+      request = ethers.Transaction.from(populated);
+    }
+    const q = (value) =>
+      value === null || value === undefined
+        ? undefined
+        : ethers.toQuantity(value);
+    const params = {
+      from: this.address,
+      to: request.to,
+      value: q(request.value),
+      gas: q(request.gasLimit),
+      maxFeePerGas: q(request.maxFeePerGas),
+      maxPriorityFeePerGas: q(request.maxPriorityFeePerGas),
+      nonce: q(request.nonce),
+      chainId: q(request.chainId),
+      type: q(request.type),
+      data: request.data,
+      input: request.data,
+    };
+
+    const result = await this.#rpc(
+      this.flavor === "clef"
+        ? "account_signTransaction"
+        : "eth_signTransaction",
+      [params]
+    );
+    const signed = ethers.Transaction.from(
+      typeof result === "string" ? result : result.raw
+    );
+
+    const same = (a, b) => (a ?? null) === (b ?? null);
+    if (
+      signed.from !== this.address ||
+      !same(signed.to, request.to) ||
+      signed.value !== request.value ||
+      signed.data !== request.data ||
+      signed.nonce !== request.nonce ||
+      signed.chainId !== request.chainId
+    ) {
+      throw new Error(
+        "External signer returned a different transaction than requested"
+      );
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const data =
+      typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+    const signature =
+      this.flavor === "clef"
+        ? await this.#rpc("account_signData", [
+            "text/plain",
+            this.address,
+            ethers.hexlify(data),
+          ])
+        : await this.#rpc("personal_sign", [
+            ethers.hexlify(data),
+            this.address,
+          ]);
+
+    if (ethers.verifyMessage(data, signature) !== this.address) {
+      throw new Error("External signer signed with a different address");
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const signature =
+      this.flavor === "clef"
+        ? await this.#rpc("account_signTypedData", [this.address, payload])
+        : await this.#rpc("eth_signTypedData_v4", [this.address, payload]);
+
+    if (
+      ethers.verifyTypedData(domain, types, value, signature) !== this.address
+    ) {
+      throw new Error("External signer signed with a different address");
+    }
+    return signature;
+  }
+}
+
+/**
+ * Build the signer config of a non-keystore wallet from import options and
+ * find its address. Returns { signer, address, source }, or null when
+ * none of the options is given.
+ */
+export async function signerFromImportSource(source) {
+  const {
+    privateKeyEnv,
+    privateKeyFile,
+    signerUrl,
+    signerAddress,
+    signerFlavor,
+  } = source;
+
+  if (privateKeyEnv) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(privateKeyEnv)) {
+      throw new Error(
+        "privateKeyEnv must be the NAME of an environment variable"
+      );
+    }
+    const signer = { type: "env", variable: privateKeyEnv };
+    return { signer, address: readKey(signer).address, source: "env" };
+  }
+
+  if (privateKeyFile) {
+    const signer = { type: "env", file: expandHome(privateKeyFile) };
+    const { address } = readKey(signer);
+    const mode = fs.statSync(signer.file).mode;
+    return {
+      signer,
+      address,
+      source: "key-file",
+      warning:
+        mode & 0o077
+          ? `${signer.file} is readable by other users. Restrict it with chmod 600.`
+          : undefined,
+    };
+  }
+
+  if (signerUrl) {
+    const flavor = signerFlavor || "eth";
+    if (!EXTERNAL_FLAVORS.includes(flavor)) {
+      throw new Error(
+        `Unknown signerFlavor "${flavor}". Use one of: ${EXTERNAL_FLAVORS.join(
+          ", "
+        )}`
+      );
+    }
+    let url;
+    try {
+      url = new URL(signerUrl).toString();
+    } catch {
+      throw new Error(`Invalid signerUrl: ${signerUrl}`);
+    }
+
+    let address = signerAddress;
+    if (!address) {
+      const probe = new ExternalSigner(url, ethers.ZeroAddress, flavor);
+      const accounts = await probe.accounts();
+      if (accounts.length !== 1) {
+        throw new Error(
+          `The external signer has ${accounts.length} accounts. Choose one with signerAddress.`
+        );
+      }
+      address = accounts[0];
+    }
+    if (!ethers.isAddress(address)) {
+      throw new Error("Invalid signerAddress");
+    }
+
+    return {
+      signer: { type: "external", url, flavor },
+      address: ethers.getAddress(address),
+      source: "external",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Open the signer of a non-keystore wallet. The key behind an env/file
+ * signer is re-read every time, and must still belong to the wallet's
+ * address: a swapped key is refused rather than silently used.
+ */
+export function openSigner(signer, address) {
+  if (signer.type === "external") {
+    return new ExternalSigner(signer.url, address, signer.flavor);
+  }
+  if (signer.type === "env") {
+    const wallet = readKey(signer);
+    if (wallet.address !== address) {
+      throw new Error(
+        `The key in ${signer.variable || signer.file} belongs to ${
+          wallet.address
+        }, not to this wallet (${address})`
+      );
+    }
+    return wallet;
+  }
+  throw new Error(`Unknown signer type "${signer.type}"`);
+}
+
+/**
+ * Where a wallet's key lives, for display (never includes key material)
+ */
+export function describeSigner(signer) {
+  if (!signer) {
+    return { type: "keystore" };
+  }
+  if (signer.type === "external") {
+    return { type: "external", url: signer.url, flavor: signer.flavor };
+  }
+  return signer.variable
+    ? { type: "env", variable: signer.variable }
+    : { type: "env", file: signer.file };
+}
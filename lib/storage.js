@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+// All local state lives in the user's home directory so it survives installs/updates
+export const DATA_DIR = path.join(os.homedir(), ".vibecoin");
+
+export function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Write a file so that readers see either the old or the new contents, never
+ * a partial write: the data goes to a temp file in the same directory, is
+ * flushed to disk, and then renamed over the target.
+ */
+export function writeFileAtomic(file, data, mode = 0o600) {
+  const dir = path.dirname(file);
+  const tmpFile = path.join(
+    dir,
+    `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  const fd = fs.openSync(tmpFile, "w", mode);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmpFile, file);
+  } catch (err) {
+    fs.rmSync(tmpFile, { force: true });
+    throw err;
+  }
+
+  // Persist the rename itself (not supported on every platform)
+  try {
+    const dirFd = fs.openSync(dir, "r");
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch {
+    // Directory fsync is best effort
+  }
+}
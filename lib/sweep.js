@@ -0,0 +1,310 @@
+import { ethers } from "ethers";
+import { getWalletAddress } from "./wallet.js";
+import { getChain, planTransaction, previewPlan } from "./transactions.js";
+import { ERC20_ABI } from "./vesting.js";
+import { getTokenMetadata } from "./tokens.js";
+import { resolveAddress } from "./addressbook.js";
+import { tokensUsedBy } from "./history.js";
+import { queryGraphQL } from "./indexer.js";
+
+const DEFAULT_RPC_URL =
+  process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+// Gas of a plain ETH transfer to an address without code
+const TRANSFER_GAS = 21000n;
+
+/**
+ * Tokens launched by an address, according to the indexer
+ */
+async function launchedTokens(creator, graphqlUrl) {
+  const data = await queryGraphQL(
+    graphqlUrl,
+    `
+      query CreatorTokens($creator: String!) {
+        tokens(where: { creator: $creator }, limit: 100) {
+          items {
+            id
+          }
+        }
+      }
+    `,
+    { creator: creator.toLowerCase() }
+  );
+  return (data?.tokens?.items || []).map((t) => ethers.getAddress(t.id));
+}
+
+/**
+ * Plan moving everything to one address: every ERC-20 token with a balance
+ * first, then all the ETH that is left.
+ *
+ * The ETH transfer sets maxPriorityFeePerGas = maxFeePerGas, so it pays
+ * exactly maxFeePerGas per gas whatever the base fee is, and its value is
+ * the balance minus that exact cost: the account ends at zero. Fees are
+ * pinned at preview time; the rebuild at confirmation reuses them, so the
+ * amount shown is the amount sent.
+ */
+async function buildSweepPlan({
+  toAddress,
+  tokens,
+  fees,
+  rpcUrl,
+  walletName,
+  account,
+}) {
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  const from = walletResult.address;
+  const to = ethers.getAddress(toAddress);
+  if (to === from) {
+    return {
+      success: false,
+      error: "The destination is the wallet itself",
+    };
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const chain = await getChain(provider);
+
+  const block = await provider.getBlock("latest");
+  if (fees.maxFeePerGas < block.baseFeePerGas) {
+    return {
+      success: false,
+      error: `The base fee (${ethers.formatUnits(
+        block.baseFeePerGas,
+        "gwei"
+      )} gwei) rose above the previewed max fee (${ethers.formatUnits(
+        fees.maxFeePerGas,
+        "gwei"
+      )} gwei). Preview the sweep again`,
+    };
+  }
+
+  const txs = [];
+  const swept = [];
+  const warnings = [];
+  for (const tokenAddress of tokens) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    let metadata;
+    let balance;
+    try {
+      metadata = await getTokenMetadata(token);
+      balance = await token.balanceOf(from);
+    } catch (err) {
+      warnings.push(`Skipped token ${tokenAddress}: ${err.message}`);
+      continue;
+    }
+    if (balance === 0n) {
+      continue;
+    }
+    const amount = ethers.formatUnits(balance, metadata.decimals);
+    const tx = await planTransaction(provider, {
+      from,
+      to: tokenAddress,
+      data: token.interface.encodeFunctionData("transfer", [to, balance]),
+      description: `Send all ${amount} ${metadata.symbol} to ${to}`,
+      transfer: {
+        amount,
+        unit: metadata.symbol,
+        token: tokenAddress,
+        recipient: to,
+      },
+    });
+    tx.maxFeePerGas = fees.maxFeePerGas;
+    tx.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    txs.push(tx);
+    swept.push({
+      address: tokenAddress,
+      ...metadata,
+      amount,
+      rawAmount: balance.toString(),
+    });
+  }
+
+  // Token transfers may use less gas than their limit; that part stays
+  const reserved = txs.reduce(
+    (sum, tx) => sum + tx.gasLimit * tx.maxFeePerGas,
+    0n
+  );
+  const balance = await provider.getBalance(from);
+  if (balance < reserved) {
+    return {
+      success: false,
+      error: `Insufficient ETH for gas. Sending the tokens can cost up to ${ethers.formatEther(
+        reserved
+      )} ETH but the wallet has ${ethers.formatEther(balance)} ETH`,
+    };
+  }
+
+  // A contract recipient can run code on receive: estimate its gas instead
+  const code = await provider.getCode(to);
+  const gasLimit =
+    code === "0x"
+      ? TRANSFER_GAS
+      : await provider.estimateGas({ from, to, value: 1n });
+  const ethGasCost = gasLimit * fees.maxFeePerGas;
+  const value = balance - reserved - ethGasCost;
+
+  if (value > 0n) {
+    txs.push({
+      description: `Send all ${ethers.formatEther(value)} ETH to ${to}`,
+      from,
+      to,
+      value,
+      data: "0x",
+      gasLimit,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxFeePerGas,
+      transfer: {
+        amount: ethers.formatEther(value),
+        unit: "ETH",
+        recipient: to,
+      },
+    });
+  } else {
+    warnings.push(
+      `The ETH balance (${ethers.formatEther(
+        balance - reserved
+      )} ETH after token gas) does not cover the ${ethers.formatEther(
+        ethGasCost
+      )} ETH gas of an ETH transfer, so no ETH is sent.`
+    );
+  }
+  if (txs.length === 0) {
+    return {
+      success: false,
+      error:
+        "Nothing to sweep: no ETH above the gas cost and no token balances",
+    };
+  }
+  if (reserved > 0n) {
+    warnings.push(
+      `Gas for the token transfers is reserved at its limit; what they don't use (at most ${ethers.formatEther(
+        reserved
+      )} ETH) stays in the wallet. Sweep again afterwards if it is worth a transfer.`
+    );
+  }
+  if (code !== "0x") {
+    warnings.push(
+      `${to} is a contract: if it uses less gas than estimated, the difference stays in the wallet.`
+    );
+  }
+
+  return {
+    success: true,
+    warnings,
+    plan: {
+      action: "sweep",
+      walletName: walletResult.name,
+      account,
+      rpcUrl,
+      chain,
+      txs,
+      summary: {
+        from,
+        to,
+        eth: value > 0n ? ethers.formatEther(value) : "0",
+        tokens: swept,
+        maxFeePerGas: `${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei`,
+      },
+    },
+  };
+}
+
+/**
+ * Preview moving the wallet's whole ETH balance, and optionally its ERC-20
+ * balances, to another address; confirm with confirmTransaction.
+ *
+ * Tokens: the given list (addresses, labels or ENS names), plus with
+ * includeTokens every token the wallet is known to hold: those it launched
+ * (from the indexer, when a graphqlUrl is given) and those in its history.
+ */
+export async function previewSweep(
+  toAddress,
+  { tokens = [], includeTokens = false } = {},
+  rpcUrl = DEFAULT_RPC_URL,
+  graphqlUrl,
+  walletName,
+  account
+) {
+  try {
+    const walletResult = getWalletAddress(walletName, account);
+    if (!walletResult.success) {
+      return walletResult;
+    }
+
+    const recipient = await resolveAddress(toAddress, rpcUrl, {
+      checkUsage: true,
+    });
+    if (!recipient.success) {
+      return recipient;
+    }
+    const { success, warnings = [], ...resolved } = recipient;
+
+    const tokenSet = new Set();
+    for (const input of tokens) {
+      const token = await resolveAddress(input, rpcUrl);
+      if (!token.success) {
+        return token;
+      }
+      tokenSet.add(token.address);
+    }
+    if (includeTokens) {
+      for (const token of tokensUsedBy(walletResult.address)) {
+        tokenSet.add(token);
+      }
+      if (graphqlUrl) {
+        try {
+          for (const token of await launchedTokens(
+            walletResult.address,
+            graphqlUrl
+          )) {
+            tokenSet.add(token);
+          }
+        } catch (err) {
+          warnings.push(
+            `Could not ask the indexer for launched tokens (${err.message}); only tokens from the local history are included.`
+          );
+        }
+      }
+    }
+
+    const feeData = await new ethers.JsonRpcProvider(rpcUrl).getFeeData();
+    if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
+      return {
+        success: false,
+        error: "The RPC endpoint does not report EIP-1559 fees",
+      };
+    }
+
+    const params = {
+      toAddress: resolved.address,
+      tokens: [...tokenSet],
+      fees: {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      },
+      rpcUrl,
+      walletName,
+      account,
+    };
+    const planResult = await buildSweepPlan(params);
+    if (planResult.success) {
+      planResult.plan.rebuild = () => buildSweepPlan(params);
+      warnings.push(...planResult.warnings);
+    }
+    const preview = previewPlan(
+      planResult,
+      "⚠️ A sweep moves EVERYTHING and is IRREVERSIBLE. Check the destination carefully."
+    );
+    return preview.success
+      ? { ...preview, recipient: resolved, warnings }
+      : preview;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Sweep preview failed: ${err.message}`,
+    };
+  }
+}
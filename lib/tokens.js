@@ -0,0 +1,227 @@
+import { ethers } from "ethers";
+import { getWalletAddress } from "./wallet.js";
+import { getChain, planTransaction, previewPlan } from "./transactions.js";
+import { ERC20_ABI } from "./vesting.js";
+import { resolveAddress } from "./addressbook.js";
+
+// Default RPC URL (same as vesting, where creator tokens come from)
+const DEFAULT_RPC_URL =
+  process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+/**
+ * Read name, symbol and decimals of an ERC-20 token
+ * Unlike the display helpers in vesting.js, decimals are never guessed: an
+ * amount is only meaningful with the token's real decimals.
+ */
+export async function getTokenMetadata(token) {
+  let decimals;
+  try {
+    decimals = Number(await token.decimals());
+  } catch {
+    throw new Error(
+      "Could not read decimals() - is this an ERC-20 token contract?"
+    );
+  }
+
+  let name = "Unknown";
+  let symbol = "UNKNOWN";
+  try {
+    [name, symbol] = await Promise.all([token.name(), token.symbol()]);
+  } catch {
+    // name/symbol are optional in ERC-20
+  }
+
+  return { name, symbol, decimals };
+}
+
+/**
+ * Get the ERC-20 balance of the wallet for any token
+ */
+export async function getTokenBalance(
+  tokenAddress,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
+) {
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+
+  try {
+    const resolved = await resolveAddress(tokenAddress, rpcUrl);
+    if (!resolved.success) {
+      return resolved;
+    }
+    tokenAddress = resolved.address;
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const metadata = await getTokenMetadata(token);
+    const balance = await token.balanceOf(walletResult.address);
+
+    return {
+      success: true,
+      address: walletResult.address,
+      token: {
+        address: ethers.getAddress(tokenAddress),
+        ...metadata,
+      },
+      balance: ethers.formatUnits(balance, metadata.decimals),
+      rawBalance: balance.toString(),
+      unit: metadata.symbol,
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to get token balance: ${err.message}`,
+    };
+  }
+}
+
+async function buildTokenTransferPlan({
+  tokenAddress,
+  toAddress,
+  amount,
+  rpcUrl,
+  walletName,
+  account,
+}) {
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  const from = walletResult.address;
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const metadata = await getTokenMetadata(token);
+
+  let amountUnits;
+  try {
+    amountUnits = ethers.parseUnits(amount, metadata.decimals);
+  } catch {
+    return {
+      success: false,
+      error: `Invalid amount "${amount}" for a token with ${metadata.decimals} decimals`,
+    };
+  }
+  if (amountUnits <= 0n) {
+    return {
+      success: false,
+      error: "Amount must be greater than zero",
+    };
+  }
+
+  // Check token balance
+  const balance = await token.balanceOf(from);
+  if (balance < amountUnits) {
+    return {
+      success: false,
+      error: `Insufficient balance. You have ${ethers.formatUnits(
+        balance,
+        metadata.decimals
+      )} ${metadata.symbol} but tried to send ${amount} ${metadata.symbol}`,
+    };
+  }
+
+  const tx = await planTransaction(provider, {
+    from,
+    to: tokenAddress,
+    data: token.interface.encodeFunctionData("transfer", [
+      toAddress,
+      amountUnits,
+    ]),
+    description: `Transfer ${amount} ${metadata.symbol} to ${ethers.getAddress(
+      toAddress
+    )}`,
+  });
+
+  // Check there is enough ETH to pay for gas
+  const gasCost = tx.gasLimit * tx.maxFeePerGas;
+  const ethBalance = await provider.getBalance(from);
+  if (ethBalance < gasCost) {
+    return {
+      success: false,
+      error: `Insufficient ETH for gas. Estimated cost is up to ${ethers.formatEther(
+        gasCost
+      )} ETH but you have ${ethers.formatEther(ethBalance)} ETH`,
+    };
+  }
+
+  return {
+    success: true,
+    plan: {
+      action: "token-transfer",
+      walletName: walletResult.name,
+      account,
+      rpcUrl,
+      chain: await getChain(provider),
+      txs: [tx],
+      summary: {
+        from,
+        to: ethers.getAddress(toAddress),
+        token: {
+          address: ethers.getAddress(tokenAddress),
+          ...metadata,
+        },
+        amount,
+        rawAmount: amountUnits.toString(),
+        unit: metadata.symbol,
+      },
+    },
+  };
+}
+
+/**
+ * Preview an ERC-20 transfer to another address; confirm with
+ * confirmTransaction. Nothing is sent here.
+ * The token and recipient can be addresses, address book labels or ENS names.
+ */
+export async function previewTokenTransfer(
+  tokenAddress,
+  toAddress,
+  amount,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
+) {
+  try {
+    const token = await resolveAddress(tokenAddress, rpcUrl);
+    if (!token.success) {
+      return token;
+    }
+    const recipient = await resolveAddress(toAddress, rpcUrl, {
+      checkUsage: true,
+    });
+    if (!recipient.success) {
+      return recipient;
+    }
+    const { success, warnings, ...resolved } = recipient;
+
+    const params = {
+      tokenAddress: token.address,
+      toAddress: resolved.address,
+      amount,
+      rpcUrl,
+      walletName,
+      account,
+    };
+    const planResult = await buildTokenTransferPlan(params);
+    if (planResult.success) {
+      planResult.plan.rebuild = () => buildTokenTransferPlan(params);
+    }
+    const preview = previewPlan(
+      planResult,
+      "Token transfers are irreversible. Double-check the token and recipient."
+    );
+    return preview.success
+      ? { ...preview, recipient: resolved, warnings }
+      : preview;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Token transfer failed: ${err.message}`,
+    };
+  }
+}
@@ -0,0 +1,381 @@
+import { ethers } from "ethers";
+import crypto from "crypto";
+import { checkPlan } from "./policy.js";
+
+// How long a previewed transaction can be confirmed (seconds)
+const CONFIRMATION_TTL_SECONDS = parseInt(
+  process.env.CONFIRMATION_TTL_SECONDS || "300",
+  10
+);
+
+// How long to wait for a sent transaction to be mined before reporting it
+// as pending (seconds)
+const TX_WAIT_TIMEOUT_SECONDS = parseInt(
+  process.env.TX_WAIT_TIMEOUT_SECONDS || "120",
+  10
+);
+
+// Fees of a replacement transaction, in percent of the fees it replaces;
+// nodes reject replacements below 110%
+const REPLACEMENT_FEE_BUMP_PERCENT = 125n;
+
+// confirmationId -> { plan, expiresAt }. In memory only: a restart drops
+// every pending preview, which is the safe direction.
+const pendingConfirmations = new Map();
+
+// "chainId:address" -> next nonce this process will use, and the tail of
+// the queue of sends for that address. Shared by every signer instance, so
+// concurrent tool calls never pick the same nonce.
+const nextNonces = new Map();
+const nonceQueues = new Map();
+
+/**
+ * Chain the provider is connected to, for display and replay checks
+ */
+export async function getChain(provider) {
+  const network = await provider.getNetwork();
+  return { chainId: Number(network.chainId), name: network.name };
+}
+
+/**
+ * Build one EIP-1559 transaction of a plan: gas limit and fees are fixed at
+ * preview time so the confirmed transaction is exactly the previewed one.
+ * Contract calls get a 20% gas buffer; plain ETH sends use the exact estimate.
+ */
+export async function planTransaction(
+  provider,
+  { from, to, value = 0n, data = "0x", description, ...extra }
+) {
+  const feeData = await provider.getFeeData();
+  if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
+    throw new Error("The RPC endpoint does not report EIP-1559 fees");
+  }
+
+  const estimate = await provider.estimateGas({ from, to, value, data });
+  const gasLimit = data === "0x" ? estimate : (estimate * 120n) / 100n;
+
+  return {
+    ...extra,
+    description,
+    from: ethers.getAddress(from),
+    to: ethers.getAddress(to),
+    value,
+    data,
+    gasLimit,
+    maxFeePerGas: feeData.maxFeePerGas,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+  };
+}
+
+/**
+ * Highest possible cost (value + gas at maxFeePerGas) per sender address
+ */
+export function maxCostBySender(txs) {
+  const costs = {};
+  for (const tx of txs) {
+    costs[tx.from] =
+      (costs[tx.from] || 0n) + tx.value + tx.gasLimit * tx.maxFeePerGas;
+  }
+  return costs;
+}
+
+/**
+ * Human-readable preview of a plan (amounts in ETH, fees in gwei)
+ */
+export function describePlan(plan) {
+  let totalValue = 0n;
+  let totalMaxGas = 0n;
+  const transactions = plan.txs.map((tx) => {
+    const maxGasCost = tx.gasLimit * tx.maxFeePerGas;
+    totalValue += tx.value;
+    totalMaxGas += maxGasCost;
+    return {
+      description: tx.description,
+      from: tx.from,
+      to: tx.to,
+      value: `${ethers.formatEther(tx.value)} ETH`,
+      gasLimit: tx.gasLimit.toString(),
+      maxFeePerGas: `${ethers.formatUnits(tx.maxFeePerGas, "gwei")} gwei`,
+      maxPriorityFeePerGas: `${ethers.formatUnits(
+        tx.maxPriorityFeePerGas,
+        "gwei"
+      )} gwei`,
+      maxGasCost: `${ethers.formatEther(maxGasCost)} ETH`,
+      nonce: tx.nonce,
+    };
+  });
+
+  return {
+    action: plan.action,
+    chain: plan.chain,
+    transactions,
+    totals: {
+      value: `${ethers.formatEther(totalValue)} ETH`,
+      maxGasCost: `${ethers.formatEther(totalMaxGas)} ETH`,
+      maxTotalCost: `${ethers.formatEther(totalValue + totalMaxGas)} ETH`,
+    },
+  };
+}
+
+/**
+ * Whether two plans would send the same transactions (senders, recipients,
+ * values, calldata and fixed nonces on the same chain). Fees are not
+ * compared: the previewed fees are the ones that get used.
+ */
+export function samePlan(a, b) {
+  const key = (plan) =>
+    JSON.stringify({
+      chainId: plan.chain.chainId,
+      txs: plan.txs.map((tx) => [
+        tx.from,
+        tx.to,
+        tx.value.toString(),
+        tx.data,
+        tx.nonce ?? null,
+      ]),
+    });
+  return key(a) === key(b);
+}
+
+/**
+ * Remember a previewed plan and return a short-lived, single-use ID for it
+ */
+export function createConfirmation(plan) {
+  const now = Date.now();
+  for (const [id, entry] of pendingConfirmations) {
+    if (entry.expiresAt <= now) {
+      pendingConfirmations.delete(id);
+    }
+  }
+
+  const confirmationId = crypto.randomBytes(8).toString("hex");
+  const expiresAt = now + CONFIRMATION_TTL_SECONDS * 1000;
+  pendingConfirmations.set(confirmationId, { plan, expiresAt });
+
+  return {
+    confirmationId,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Turn a built plan into a preview with a confirmation ID, or report that
+ * there is nothing to send
+ */
+export function previewPlan(planResult, warning) {
+  if (!planResult.success) {
+    return planResult;
+  }
+
+  const { plan } = planResult;
+  const preview = {
+    success: true,
+    ...describePlan(plan),
+    ...plan.summary,
+  };
+
+  if (plan.txs.length === 0) {
+    preview.message = "Nothing to send.";
+    return preview;
+  }
+
+  // Fail at preview time already; the policy is enforced again on confirm
+  const allowed = checkPlan(plan);
+  if (!allowed.success) {
+    return { ...allowed, preview };
+  }
+
+  const confirmation = createConfirmation(plan);
+  return {
+    ...preview,
+    ...confirmation,
+    message:
+      "Nothing has been sent yet. Review the preview, then call the same action again with this confirmationId (and the password, unless the wallet is unlocked) to send exactly these transactions.",
+    warning,
+  };
+}
+
+/**
+ * Claim a confirmation; it can be used only once, whatever happens next.
+ * With an action, a confirmation previewed for another action is refused.
+ */
+export function takeConfirmation(confirmationId, action) {
+  const entry = pendingConfirmations.get(confirmationId);
+  if (entry && action && entry.plan.action !== action) {
+    return {
+      success: false,
+      error: `This confirmationId is for "${entry.plan.action}", not "${action}"`,
+    };
+  }
+  pendingConfirmations.delete(confirmationId);
+
+  if (!entry) {
+    return {
+      success: false,
+      error:
+        "Unknown or already used confirmationId. Run the action again without confirmationId for a new preview.",
+    };
+  }
+  if (entry.expiresAt <= Date.now()) {
+    return {
+      success: false,
+      error:
+        "This preview has expired. Run the action again without confirmationId for a new preview.",
+    };
+  }
+  return { success: true, plan: entry.plan, expiresAt: entry.expiresAt };
+}
+
+/**
+ * Give back a confirmation that was taken but not used (e.g. the password
+ * was wrong), so the same preview can be confirmed again until it expires
+ */
+export function restoreConfirmation(confirmationId, { plan, expiresAt }) {
+  if (expiresAt > Date.now()) {
+    pendingConfirmations.set(confirmationId, { plan, expiresAt });
+  }
+}
+
+// Run sends for one address strictly one after another
+function enqueue(key, fn) {
+  const previous = nonceQueues.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  nonceQueues.set(key, tail);
+  tail.then(() => {
+    if (nonceQueues.get(key) === tail) {
+      nonceQueues.delete(key);
+    }
+  });
+  return run;
+}
+
+/**
+ * Whether a send failed because its nonce was already used (or replaced)
+ */
+export function isNonceError(err) {
+  return (
+    err.code === "NONCE_EXPIRED" ||
+    err.code === "REPLACEMENT_UNDERPRICED" ||
+    /nonce/i.test(err.message)
+  );
+}
+
+/**
+ * Send a planned transaction exactly as previewed
+ *
+ * New transactions get their nonce from the nonce manager: sends from the
+ * same address are serialized, and the nonce is the higher of the RPC's
+ * pending count and the next one this process handed out (load-balanced
+ * RPCs can lag behind a transaction we just broadcast). Replacements carry
+ * the nonce they replace and bypass it.
+ */
+export function sendPlannedTransaction(signer, tx, chainId) {
+  const request = {
+    type: 2,
+    chainId,
+    to: tx.to,
+    value: tx.value,
+    data: tx.data,
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+  };
+  if (tx.nonce !== undefined) {
+    return signer.sendTransaction({ ...request, nonce: tx.nonce });
+  }
+
+  const key = `${chainId}:${tx.from}`;
+  return enqueue(key, async () => {
+    const pendingCount = await signer.provider.getTransactionCount(
+      tx.from,
+      "pending"
+    );
+    const nonce = Math.max(pendingCount, nextNonces.get(key) ?? 0);
+    try {
+      const sent = await signer.sendTransaction({ ...request, nonce });
+      nextNonces.set(key, nonce + 1);
+      return sent;
+    } catch (err) {
+      // Our count is off (e.g. a transaction was sent from another wallet
+      // app); start again from the RPC's count next time
+      if (isNonceError(err)) {
+        nextNonces.delete(key);
+      }
+      throw err;
+    }
+  });
+}
+
+/**
+ * Wait for a sent transaction to be mined
+ * Returns the receipt, or null if it is still pending after the timeout so
+ * a tool call never blocks on a low-fee transaction. Reverted transactions
+ * and replacements throw like tx.wait() does.
+ */
+export async function waitForReceipt(sent, timeoutSeconds) {
+  const timeout = (timeoutSeconds || TX_WAIT_TIMEOUT_SECONDS) * 1000;
+  try {
+    return await sent.wait(1, timeout);
+  } catch (err) {
+    if (err.code === "TIMEOUT") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * A transaction of an address waiting in the node's mempool with a given
+ * nonce, or null. Read from txpool_content where the node has it, else
+ * from the pending block.
+ */
+export async function findPendingTransaction(provider, from, nonce) {
+  const sender = ethers.getAddress(from);
+  try {
+    const pool = await provider.send("txpool_content", []);
+    for (const part of [pool?.pending, pool?.queued]) {
+      const [, byNonce] =
+        Object.entries(part || {}).find(
+          ([address]) => ethers.getAddress(address) === sender
+        ) || [];
+      if (byNonce?.[nonce]) {
+        return provider.getTransaction(byNonce[nonce].hash);
+      }
+    }
+  } catch {
+    // Not every node exposes the txpool namespace
+  }
+  const block = await provider.getBlock("pending", true);
+  return (
+    block?.prefetchedTransactions.find(
+      (tx) => tx.from === sender && tx.nonce === nonce
+    ) || null
+  );
+}
+
+/**
+ * Fees for a transaction that replaces a pending one with the same nonce:
+ * at least REPLACEMENT_FEE_BUMP_PERCENT of the old fees, and never below
+ * the current network fees
+ */
+export async function replacementFees(provider, original) {
+  const feeData = await provider.getFeeData();
+  if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
+    throw new Error("The RPC endpoint does not report EIP-1559 fees");
+  }
+  const bump = (fee) =>
+    fee ? (fee * REPLACEMENT_FEE_BUMP_PERCENT) / 100n + 1n : 0n;
+  const max = (...values) => values.reduce((a, b) => (a > b ? a : b));
+
+  const maxPriorityFeePerGas = max(
+    bump(original?.maxPriorityFeePerGas),
+    feeData.maxPriorityFeePerGas
+  );
+  const maxFeePerGas = max(
+    bump(original?.maxFeePerGas ?? original?.gasPrice),
+    feeData.maxFeePerGas,
+    maxPriorityFeePerGas
+  );
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
@@ -1,8 +1,10 @@
 import { ethers } from "ethers";
-import { getDecryptedWallet, getWalletAddress, hasWallet } from "./wallet.js";
+import { getWalletAddress } from "./wallet.js";
+import { getChain, planTransaction, previewPlan } from "./transactions.js";
+import { OFFLINE_MODE, offlineVesting } from "./offline.js";
 
 // Vesting Manager contract address
-const VESTING_MANAGER_ADDRESS =
+export const VESTING_MANAGER_ADDRESS =
   process.env.VESTING_MANAGER_ADDRESS ||
   "0x943007c14606446BD433426b1E2363309d4C9F0f";
 
@@ -11,7 +13,7 @@ const DEFAULT_RPC_URL =
   process.env.RPC_URL || "https://ethereum-rpc.publicnode.com";
 
 // Vesting Manager ABI (actual contract interface on Sepolia)
-const VESTING_MANAGER_ABI = [
+export const VESTING_MANAGER_ABI = [
   // View functions - parameter order is (beneficiary, token)
   "function getSchedule(address beneficiary, address token) external view returns (uint256 totalAmount, uint256 released, uint256 releasable, uint256 startTime, uint256 endTime)",
   "function releasable(address beneficiary, address token) external view returns (uint256)",
@@ -20,24 +22,34 @@ const VESTING_MANAGER_ABI = [
   "function release(address beneficiary, address token) external",
 ];
 
-// ERC20 ABI for token info
-const ERC20_ABI = [
+// ERC20 ABI for token info and transfers
+export const ERC20_ABI = [
   "function name() external view returns (string)",
   "function symbol() external view returns (string)",
   "function decimals() external view returns (uint8)",
+  "function totalSupply() external view returns (uint256)",
   "function balanceOf(address account) external view returns (uint256)",
+  "function transfer(address to, uint256 amount) external returns (bool)",
 ];
 
 /**
  * Get vesting info for a specific token
  */
-export async function getVestingInfo(tokenAddress, rpcUrl = DEFAULT_RPC_URL) {
-  // Get wallet address
-  const walletResult = getWalletAddress();
+export async function getVestingInfo(
+  tokenAddress,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
+) {
+  // Get wallet (or derived account) address
+  const walletResult = getWalletAddress(walletName, account);
   if (!walletResult.success || !walletResult.address) {
     return {
       success: false,
-      error: "No wallet found. Create a wallet first.",
+      error:
+        walletName || account !== undefined
+          ? walletResult.error
+          : "No wallet found. Create a wallet first.",
     };
   }
 
@@ -52,26 +64,49 @@ export async function getVestingInfo(tokenAddress, rpcUrl = DEFAULT_RPC_URL) {
   }
 
   try {
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const vestingManager = new ethers.Contract(
-      VESTING_MANAGER_ADDRESS,
-      VESTING_MANAGER_ABI,
-      provider
-    );
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-
-    // Get token info
     let tokenName, tokenSymbol, decimals;
-    try {
-      [tokenName, tokenSymbol, decimals] = await Promise.all([
-        token.name(),
-        token.symbol(),
-        token.decimals(),
-      ]);
-    } catch {
-      tokenName = "Unknown";
-      tokenSymbol = "UNKNOWN";
-      decimals = 18n;
+    let schedule;
+    if (OFFLINE_MODE) {
+      // Tokens launched in offline mode only exist locally
+      ({
+        name: tokenName,
+        symbol: tokenSymbol,
+        decimals,
+        schedule,
+      } = offlineVesting(beneficiary, tokenAddress));
+    } else {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const vestingManager = new ethers.Contract(
+        VESTING_MANAGER_ADDRESS,
+        VESTING_MANAGER_ABI,
+        provider
+      );
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+
+      // Get token info
+      try {
+        [tokenName, tokenSymbol, decimals] = await Promise.all([
+          token.name(),
+          token.symbol(),
+          token.decimals(),
+        ]);
+      } catch {
+        tokenName = "Unknown";
+        tokenSymbol = "UNKNOWN";
+        decimals = 18n;
+      }
+
+      // Get vesting schedule using correct function name and parameter order (beneficiary, token)
+      try {
+        schedule = await vestingManager.getSchedule(beneficiary, tokenAddress);
+      } catch (scheduleErr) {
+        return {
+          success: false,
+          error: `Failed to fetch vesting schedule: ${scheduleErr.message}`,
+          tokenAddress,
+          beneficiary,
+        };
+      }
     }
     // Ensure decimals is a number for math operations - convert via string to avoid BigInt issues
     const decimalsNum =
@@ -79,19 +114,6 @@ export async function getVestingInfo(tokenAddress, rpcUrl = DEFAULT_RPC_URL) {
         ? parseInt(decimals.toString(), 10)
         : Number(decimals);
 
-    // Get vesting schedule using correct function name and parameter order (beneficiary, token)
-    let schedule;
-    try {
-      schedule = await vestingManager.getSchedule(beneficiary, tokenAddress);
-    } catch (scheduleErr) {
-      return {
-        success: false,
-        error: `Failed to fetch vesting schedule: ${scheduleErr.message}`,
-        tokenAddress,
-        beneficiary,
-      };
-    }
-
     // Convert all values to BigInt explicitly to handle different ethers.js return types
     const totalAmount = BigInt(schedule[0].toString());
     const releasedAmount = BigInt(schedule[1].toString());
@@ -211,6 +233,7 @@ export async function getVestingInfo(tokenAddress, rpcUrl = DEFAULT_RPC_URL) {
         lockedAmount: unreleased.toString(),
       },
       vestingManagerAddress: VESTING_MANAGER_ADDRESS,
+      offline: OFFLINE_MODE || undefined,
     };
   } catch (err) {
     // Check for common error cases
@@ -235,159 +258,180 @@ export async function getVestingInfo(tokenAddress, rpcUrl = DEFAULT_RPC_URL) {
   }
 }
 
-/**
- * Claim vested tokens
- */
-export async function claimVestedTokens(
-  password,
-  tokenAddress,
-  rpcUrl = DEFAULT_RPC_URL
-) {
-  if (!hasWallet()) {
+async function buildClaimPlan({ tokenAddress, rpcUrl, walletName, account }) {
+  // Get wallet (or derived account) address
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
     return {
       success: false,
-      error: "No wallet found. Create a wallet first.",
+      error:
+        walletName || account !== undefined
+          ? walletResult.error
+          : "No wallet found. Create a wallet first.",
     };
   }
+  const beneficiary = walletResult.address;
 
-  // Validate token address
-  if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const vestingManager = new ethers.Contract(
+    VESTING_MANAGER_ADDRESS,
+    VESTING_MANAGER_ABI,
+    provider
+  );
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+
+  // Get token info
+  let tokenName, tokenSymbol, decimals;
+  try {
+    [tokenName, tokenSymbol, decimals] = await Promise.all([
+      token.name(),
+      token.symbol(),
+      token.decimals(),
+    ]);
+  } catch {
+    tokenName = "Unknown";
+    tokenSymbol = "UNKNOWN";
+    decimals = 18n;
+  }
+  // Ensure decimals is a number for math operations - convert via string to avoid BigInt issues
+  const decimalsNum =
+    typeof decimals === "bigint"
+      ? parseInt(decimals.toString(), 10)
+      : Number(decimals);
+
+  // Get vesting schedule using correct parameter order (beneficiary, token)
+  let schedule;
+  try {
+    schedule = await vestingManager.getSchedule(beneficiary, tokenAddress);
+  } catch (scheduleErr) {
     return {
       success: false,
-      error: "Invalid token address",
+      error: `Failed to fetch vesting schedule: ${scheduleErr.message}`,
+      tokenAddress,
     };
   }
+  // Convert all values to BigInt explicitly to handle different ethers.js return types
+  const totalAmount = BigInt(schedule[0].toString());
+  const releasable = BigInt(schedule[2].toString());
 
-  // Get decrypted wallet
-  const walletResult = getDecryptedWallet(password);
-  if (!walletResult.success) {
-    return walletResult;
+  if (totalAmount === 0n) {
+    return {
+      success: false,
+      error: "No vesting schedule found for this token.",
+      tokenAddress,
+      tokenName,
+      tokenSymbol,
+    };
   }
 
-  try {
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = walletResult.wallet.connect(provider);
-    const vestingManager = new ethers.Contract(
-      VESTING_MANAGER_ADDRESS,
-      VESTING_MANAGER_ABI,
-      wallet
-    );
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-
-    // Get token info
-    let tokenName, tokenSymbol, decimals;
-    try {
-      [tokenName, tokenSymbol, decimals] = await Promise.all([
-        token.name(),
-        token.symbol(),
-        token.decimals(),
-      ]);
-    } catch {
-      tokenName = "Unknown";
-      tokenSymbol = "UNKNOWN";
-      decimals = 18n;
-    }
-    // Ensure decimals is a number for math operations - convert via string to avoid BigInt issues
-    const decimalsNum =
-      typeof decimals === "bigint"
-        ? parseInt(decimals.toString(), 10)
-        : Number(decimals);
-
-    // Get vesting schedule using correct parameter order (beneficiary, token)
-    let schedule;
-    try {
-      schedule = await vestingManager.getSchedule(wallet.address, tokenAddress);
-    } catch (scheduleErr) {
-      return {
-        success: false,
-        error: `Failed to fetch vesting schedule: ${scheduleErr.message}`,
-        tokenAddress,
-      };
-    }
-    // Convert all values to BigInt explicitly to handle different ethers.js return types
-    const totalAmount = BigInt(schedule[0].toString());
-    const releasedAmount = BigInt(schedule[1].toString());
-    const releasableFromContract = BigInt(schedule[2].toString());
-    const startTime = BigInt(schedule[3].toString());
-    const endTime = BigInt(schedule[4].toString());
-
-    if (totalAmount === 0n) {
-      return {
-        success: false,
-        error: "No vesting schedule found for this token.",
-        tokenAddress,
-        tokenName,
-        tokenSymbol,
-      };
-    }
-
-    // Use releasable amount directly from contract (more accurate)
-    const releasable = releasableFromContract;
+  if (releasable <= 0n) {
+    return {
+      success: false,
+      error:
+        "No tokens available to claim. All vested tokens have already been claimed.",
+      tokenAddress,
+      tokenName,
+      tokenSymbol,
+    };
+  }
 
-    if (releasable <= 0n) {
-      return {
-        success: false,
-        error:
-          "No tokens available to claim. All vested tokens have already been claimed.",
-        tokenAddress,
-        tokenName,
-        tokenSymbol,
-      };
+  const formatAmount = (amount) => {
+    // Safely handle BigInt conversion
+    const amountStr = amount.toString();
+    let formatted;
+    if (amountStr.length <= decimalsNum) {
+      const zeros = "0".repeat(decimalsNum - amountStr.length);
+      formatted = parseFloat(`0.${zeros}${amountStr}`);
+    } else {
+      const intPart = amountStr.slice(0, amountStr.length - decimalsNum);
+      const decPart = amountStr.slice(amountStr.length - decimalsNum);
+      formatted = parseFloat(`${intPart}.${decPart}`);
     }
+    return formatted.toLocaleString();
+  };
 
-    const formatAmount = (amount) => {
-      // Safely handle BigInt conversion
-      const amountStr = amount.toString();
-      let formatted;
-      if (amountStr.length <= decimalsNum) {
-        const zeros = "0".repeat(decimalsNum - amountStr.length);
-        formatted = parseFloat(`0.${zeros}${amountStr}`);
-      } else {
-        const intPart = amountStr.slice(0, amountStr.length - decimalsNum);
-        const decPart = amountStr.slice(amountStr.length - decimalsNum);
-        formatted = parseFloat(`${intPart}.${decPart}`);
-      }
-      return formatted.toLocaleString();
+  // Release tokens - correct parameter order (beneficiary, token)
+  const tx = await planTransaction(provider, {
+    from: beneficiary,
+    to: VESTING_MANAGER_ADDRESS,
+    data: vestingManager.interface.encodeFunctionData("release", [
+      beneficiary,
+      tokenAddress,
+    ]),
+    description: `Claim vested ${tokenSymbol}`,
+  });
+
+  const ethBalance = await provider.getBalance(beneficiary);
+  const gasCost = tx.gasLimit * tx.maxFeePerGas;
+  if (ethBalance < gasCost) {
+    return {
+      success: false,
+      error: `Insufficient ETH for gas. Claiming can cost up to ${ethers.formatEther(
+        gasCost
+      )} ETH but you have ${ethers.formatEther(ethBalance)} ETH`,
     };
+  }
 
-    // Release tokens - correct parameter order (beneficiary, token)
-    const tx = await vestingManager.release(wallet.address, tokenAddress);
-    const receipt = await tx.wait();
+  return {
+    success: true,
+    plan: {
+      action: "vesting-claim",
+      walletName: walletResult.name,
+      account,
+      rpcUrl,
+      chain: await getChain(provider),
+      txs: [tx],
+      summary: {
+        token: {
+          address: tokenAddress,
+          name: tokenName,
+          symbol: tokenSymbol,
+        },
+        claimable: {
+          amount: formatAmount(releasable),
+          rawAmount: releasable.toString(),
+        },
+        vestingManagerAddress: VESTING_MANAGER_ADDRESS,
+      },
+    },
+  };
+}
 
-    // Get new balance
-    const newBalance = await token.balanceOf(wallet.address);
+/**
+ * Preview claiming vested tokens; confirm with confirmTransaction
+ * The releasable amount grows every block, so the claim transaction itself
+ * (release(beneficiary, token)) is what gets compared on confirmation.
+ */
+export async function previewClaim(
+  tokenAddress,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
+) {
+  if (OFFLINE_MODE) {
+    return {
+      success: false,
+      error:
+        "Claiming sends a transaction to the vesting manager, which knows nothing of offline tokens. Use vesting check to follow them in offline mode.",
+    };
+  }
 
+  // Validate token address
+  if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
     return {
-      success: true,
-      message: `Successfully claimed ${formatAmount(
-        releasable
-      )} ${tokenSymbol}!`,
-      token: {
-        address: tokenAddress,
-        name: tokenName,
-        symbol: tokenSymbol,
-      },
-      claimed: {
-        amount: formatAmount(releasable),
-        rawAmount: releasable.toString(),
-      },
-      transaction: {
-        hash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-      },
-      newBalance: formatAmount(newBalance),
-      vestingManagerAddress: VESTING_MANAGER_ADDRESS,
+      success: false,
+      error: "Invalid token address",
     };
-  } catch (err) {
-    if (
-      err.message.includes("Unsupported state") ||
-      err.message.includes("auth")
-    ) {
-      return {
-        success: false,
-        error: "Invalid password",
-      };
+  }
+
+  const params = { tokenAddress, rpcUrl, walletName, account };
+  try {
+    const planResult = await buildClaimPlan(params);
+    if (planResult.success) {
+      planResult.plan.rebuild = () => buildClaimPlan(params);
     }
+    return previewPlan(planResult);
+  } catch (err) {
     if (
       err.message.includes("execution reverted") ||
       err.message.includes("call revert")
@@ -395,7 +439,7 @@ export async function claimVestedTokens(
       return {
         success: false,
         error:
-          "Transaction reverted. No vesting schedule may exist or no tokens are available to claim.",
+          "Transaction would revert. No vesting schedule may exist or no tokens are available to claim.",
         tokenAddress,
       };
     }
@@ -412,7 +456,9 @@ export async function claimVestedTokens(
  */
 export async function getAllVestingInfo(
   tokenAddresses,
-  rpcUrl = DEFAULT_RPC_URL
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
 ) {
   if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
     return {
@@ -423,7 +469,12 @@ export async function getAllVestingInfo(
 
   const results = [];
   for (const tokenAddress of tokenAddresses) {
-    const result = await getVestingInfo(tokenAddress, rpcUrl);
+    const result = await getVestingInfo(
+      tokenAddress,
+      rpcUrl,
+      walletName,
+      account
+    );
     if (result.success) {
       results.push(result);
     }
@@ -3,9 +3,45 @@ import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from "./storage.js";
+import {
+  getChain,
+  planTransaction,
+  maxCostBySender,
+  describePlan,
+  previewPlan,
+  samePlan,
+  takeConfirmation,
+  restoreConfirmation,
+  sendPlannedTransaction,
+  waitForReceipt,
+  replacementFees,
+  findPendingTransaction,
+} from "./transactions.js";
+import {
+  startSession,
+  useSession,
+  isSessionActive,
+  getSessionInfo,
+  endSession,
+  sessionOptionsError,
+  endAllSessions,
+} from "./session.js";
+import {
+  recordTransaction,
+  updateTransaction,
+  findPendingByNonce,
+} from "./history.js";
+import { resolveAddress } from "./addressbook.js";
+import { checkAction, checkPlan } from "./policy.js";
+import {
+  signerFromImportSource,
+  openSigner,
+  describeSigner,
+} from "./signers.js";
+import { queryGraphQL } from "./indexer.js";
 
 // Store wallet in user's home directory for persistence across installs/updates
-const DATA_DIR = path.join(os.homedir(), ".vibecoin");
 const WALLET_FILE = path.join(DATA_DIR, "wallet.json");
 
 // Legacy location (for migration)
@@ -14,9 +50,22 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const LEGACY_DATA_DIR = path.join(__dirname, "..", "data");
 const LEGACY_WALLET_FILE = path.join(LEGACY_DATA_DIR, "wallet.json");
 
-// Default wallet key (single wallet per installation)
+// Name used for the wallet of single-wallet installs and when no name is given
 const DEFAULT_KEY = "default";
 
+// Wallet names double as identifiers in tool calls, keep them simple
+const WALLET_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// HD accounts are derived as m/44'/60'/0'/0/<index> (the MetaMask/ethers layout)
+const HD_BASE_PATH = "m/44'/60'/0'/0";
+
+// Default RPC URL for wallet actions
+export const DEFAULT_RPC_URL =
+  process.env.RPC_URL || "https://eth.llamarpc.com";
+
+// Account labels can't look like an index, so "3" is never ambiguous
+const ACCOUNT_LABEL_PATTERN = /^[A-Za-z][A-Za-z0-9 _-]{0,31}$/;
+
 // Migrate wallet from legacy location if it exists
 function migrateWalletIfNeeded() {
   // If new location already has wallet, skip migration
@@ -34,7 +83,7 @@ function migrateWalletIfNeeded() {
 
       // Copy wallet to new location
       const walletData = fs.readFileSync(LEGACY_WALLET_FILE, "utf8");
-      fs.writeFileSync(WALLET_FILE, walletData, { mode: 0o600 });
+      writeFileAtomic(WALLET_FILE, walletData);
 
       // Remove legacy wallet
       fs.unlinkSync(LEGACY_WALLET_FILE);
@@ -54,38 +103,126 @@ const ALGORITHM = "aes-256-gcm";
 const KEY_LENGTH = 32;
 const IV_LENGTH = 16;
 const SALT_LENGTH = 32;
-const ITERATIONS = 100000;
 
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+// On-disk format version of wallet.json
+// 1: single wallet, or named wallets with PBKDF2 (100k iterations) implied
+// 2: named wallets, every encrypted blob records its KDF and parameters
+const STORE_VERSION = 2;
+
+// Blobs without a "kdf" field were written by version 1
+const LEGACY_KDF = {
+  kdf: "pbkdf2",
+  kdfParams: { iterations: 100000, digest: "sha256" },
+};
+
+// Parameters used for newly encrypted blobs, per KDF. Raising these makes
+// existing wallets re-encrypt on their next successful unlock.
+const KDF_PRESETS = {
+  pbkdf2: { iterations: 600000, digest: "sha256" },
+  scrypt: { N: 131072, r: 8, p: 1 },
+};
+
+// KDF for new wallets: WALLET_KDF=scrypt opts into the memory-hard KDF
+const DEFAULT_KDF = KDF_PRESETS[process.env.WALLET_KDF]
+  ? process.env.WALLET_KDF
+  : "pbkdf2";
+
+/**
+ * Load the wallet store: { version, active, wallets: { [name]: walletData } }
+ * Files written before named wallets existed hold a single wallet at the top
+ * level; those are read as the "default" wallet and rewritten on next save.
+ */
+function loadStore() {
+  ensureDataDir();
+  if (!fs.existsSync(WALLET_FILE)) {
+    return { active: null, wallets: {} };
+  }
+  const data = JSON.parse(fs.readFileSync(WALLET_FILE, "utf8"));
+  if (data.wallets) {
+    return { version: 1, ...data };
   }
+  return { version: 1, active: DEFAULT_KEY, wallets: { [DEFAULT_KEY]: data } };
 }
 
-function loadWallet() {
+// Atomic so a crash mid-write can never leave a truncated wallet file behind
+function saveStore(store) {
   ensureDataDir();
-  if (!fs.existsSync(WALLET_FILE)) {
+  writeFileAtomic(
+    WALLET_FILE,
+    JSON.stringify({ ...store, version: STORE_VERSION }, null, 2)
+  );
+}
+
+function resolveWalletName(store, name) {
+  return name || store.active;
+}
+
+function loadWallet(name) {
+  const store = loadStore();
+  const walletName = resolveWalletName(store, name);
+  if (!walletName || !store.wallets[walletName]) {
     return null;
   }
-  const data = fs.readFileSync(WALLET_FILE, "utf8");
-  return JSON.parse(data);
+  return { name: walletName, ...store.wallets[walletName] };
 }
 
-function saveWallet(wallet) {
-  ensureDataDir();
-  fs.writeFileSync(WALLET_FILE, JSON.stringify(wallet, null, 2), {
-    mode: 0o600,
-  });
+function noWalletError(name) {
+  return {
+    success: false,
+    error: name ? `Wallet "${name}" not found` : "No wallet found",
+  };
+}
+
+function watchOnlyRefusal(walletData) {
+  return {
+    success: false,
+    watchOnly: true,
+    error: `Wallet "${walletData.name}" is watch-only (${walletData.address}): it has no key, so it can't sign or send anything.`,
+  };
+}
+
+/**
+ * Refusal for actions that need a key when the wallet is watch-only, or
+ * null when it can sign (or doesn't exist; the action reports that itself)
+ */
+export function watchOnlyError(walletName) {
+  const walletData = loadWallet(walletName);
+  return walletData?.watchOnly ? watchOnlyRefusal(walletData) : null;
+}
+
+function deriveKey(password, salt, kdf, kdfParams) {
+  if (kdf === "scrypt") {
+    const { N, r, p } = kdfParams;
+    return crypto.scryptSync(password, salt, KEY_LENGTH, {
+      N,
+      r,
+      p,
+      maxmem: 256 * N * r,
+    });
+  }
+  if (kdf === "pbkdf2") {
+    return crypto.pbkdf2Sync(
+      password,
+      salt,
+      kdfParams.iterations,
+      KEY_LENGTH,
+      kdfParams.digest
+    );
+  }
+  throw new Error(`Unsupported KDF: ${kdf}`);
 }
 
-function deriveKey(password, salt) {
-  return crypto.pbkdf2Sync(password, salt, ITERATIONS, KEY_LENGTH, "sha256");
+function kdfOf(encryptedData) {
+  return encryptedData.kdf
+    ? { kdf: encryptedData.kdf, kdfParams: encryptedData.kdfParams }
+    : LEGACY_KDF;
 }
 
-function encrypt(text, password) {
+function encrypt(text, password, kdf = DEFAULT_KDF) {
   const salt = crypto.randomBytes(SALT_LENGTH);
   const iv = crypto.randomBytes(IV_LENGTH);
-  const key = deriveKey(password, salt);
+  const kdfParams = KDF_PRESETS[kdf];
+  const key = deriveKey(password, salt, kdf, kdfParams);
 
   const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
   let encrypted = cipher.update(text, "utf8", "hex");
@@ -93,6 +230,8 @@ function encrypt(text, password) {
   const tag = cipher.getAuthTag();
 
   return {
+    kdf,
+    kdfParams,
     salt: salt.toString("hex"),
     iv: iv.toString("hex"),
     tag: tag.toString("hex"),
@@ -104,7 +243,8 @@ function decrypt(encryptedData, password) {
   const salt = Buffer.from(encryptedData.salt, "hex");
   const iv = Buffer.from(encryptedData.iv, "hex");
   const tag = Buffer.from(encryptedData.tag, "hex");
-  const key = deriveKey(password, salt);
+  const { kdf, kdfParams } = kdfOf(encryptedData);
+  const key = deriveKey(password, salt, kdf, kdfParams);
 
   const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
   decipher.setAuthTag(tag);
@@ -114,435 +254,1003 @@ function decrypt(encryptedData, password) {
   return decrypted;
 }
 
+/**
+ * Whether a blob should be re-encrypted with the current KDF settings: it is
+ * from the unversioned format, or uses weaker parameters than the current
+ * preset for its KDF. A wallet is never moved to a different KDF implicitly.
+ */
+function needsRehash(encryptedData) {
+  if (!encryptedData.kdf) {
+    return true;
+  }
+  const { kdf, kdfParams } = encryptedData;
+  const preset = KDF_PRESETS[kdf];
+  if (!preset) {
+    return false;
+  }
+  if (kdf === "pbkdf2") {
+    return kdfParams.iterations < preset.iterations;
+  }
+  return (
+    kdfParams.N * kdfParams.r * kdfParams.p < preset.N * preset.r * preset.p
+  );
+}
+
+/**
+ * Re-encrypt every secret of a wallet entry under a password and KDF
+ */
+function reencryptWallet(walletData, oldPassword, newPassword, kdf) {
+  const updated = {
+    ...walletData,
+    encryptedKey: encrypt(
+      decrypt(walletData.encryptedKey, oldPassword),
+      newPassword,
+      kdf
+    ),
+  };
+  if (walletData.encryptedMnemonic) {
+    updated.encryptedMnemonic = encrypt(
+      decrypt(walletData.encryptedMnemonic, oldPassword),
+      newPassword,
+      kdf
+    );
+  }
+  return updated;
+}
+
+/**
+ * Bring a wallet's encryption up to date after a successful unlock.
+ * Failures are logged and ignored; the old file stays valid.
+ */
+function upgradeWalletEncryption(name, password) {
+  try {
+    const store = loadStore();
+    const walletData = store.wallets[name];
+    if (!walletData || !needsRehash(walletData.encryptedKey)) {
+      return;
+    }
+    const { kdf } = kdfOf(walletData.encryptedKey);
+    store.wallets[name] = reencryptWallet(walletData, password, password, kdf);
+    saveStore(store);
+    console.error(
+      `[vibecoin] Upgraded encryption of wallet "${name}" to ${kdf} with current parameters`
+    );
+  } catch (err) {
+    console.error(
+      "[vibecoin] Failed to upgrade wallet encryption:",
+      err.message
+    );
+  }
+}
+
+function validateWalletName(name) {
+  if (!WALLET_NAME_PATTERN.test(name)) {
+    return {
+      success: false,
+      error:
+        "Invalid wallet name. Use 1-32 letters, numbers, dashes or underscores.",
+    };
+  }
+  return null;
+}
+
 /**
  * Create a new wallet
+ *
+ * The first wallet is named "default" unless a name is given, and becomes the
+ * active wallet. Further wallets need a name and are not activated until
+ * selected.
  */
-export async function createWallet(password) {
-  const existing = loadWallet();
+export async function createWallet(password, name) {
+  const store = loadStore();
+  const walletCount = Object.keys(store.wallets).length;
 
-  if (existing) {
+  if (!name && walletCount > 0) {
+    const existing = store.wallets[store.active] || {};
     return {
       success: false,
-      error: 'Wallet already exists. Use "get" to retrieve it.',
+      error:
+        'Wallet already exists. Use "get" to retrieve it, or give a name to create an additional wallet.',
       address: existing.address,
     };
   }
 
+  const walletName = name || DEFAULT_KEY;
+  const nameError = validateWalletName(walletName);
+  if (nameError) {
+    return nameError;
+  }
+
+  if (store.wallets[walletName]) {
+    return {
+      success: false,
+      error: `Wallet "${walletName}" already exists. Use "get" to retrieve it.`,
+      address: store.wallets[walletName].address,
+    };
+  }
+
   // Generate new Ethereum wallet
   const wallet = ethers.Wallet.createRandom();
 
-  // Encrypt the private key
+  // Encrypt the private key, and the mnemonic it was derived from for backups
   const encryptedKey = encrypt(wallet.privateKey, password);
+  const encryptedMnemonic = encrypt(wallet.mnemonic.phrase, password);
 
   // Store wallet data
-  saveWallet({
+  store.wallets[walletName] = {
     address: wallet.address,
     encryptedKey,
+    encryptedMnemonic,
+    derivationPath: wallet.path,
+    accounts: [
+      {
+        index: 0,
+        address: wallet.address,
+        label: null,
+        createdAt: new Date().toISOString(),
+      },
+    ],
     createdAt: new Date().toISOString(),
-  });
+  };
+  if (!store.active) {
+    store.active = walletName;
+  }
+  saveStore(store);
 
   return {
     success: true,
+    name: walletName,
     address: wallet.address,
+    active: store.active === walletName,
     message:
-      "Wallet created! This is where your fees from coin launches will be sent.",
+      store.active === walletName
+        ? "Wallet created! This is where your fees from coin launches will be sent."
+        : `Wallet created! Use action="select" with name="${walletName}" to make it the active wallet.`,
     warning:
       "CRITICAL: Your password is the ONLY way to access this wallet. There is NO recovery option. If you lose your password, your wallet and all funds are permanently lost!",
   };
 }
 
 /**
- * Get wallet address (no password needed)
+ * Add a watch-only wallet: an address someone else holds the key for (a
+ * co-founder or partner creator), tracked by the read-only tools. address
+ * can be an address, an address book label or an ENS name.
  */
-export function getWalletAddress() {
-  const wallet = loadWallet();
-
-  if (!wallet) {
+export async function watchAddress(address, name, label) {
+  if (!name) {
     return {
       success: false,
-      error:
-        'No wallet found. Create one first with action="create" and a password. This wallet is where your fees from coin launches will be sent. Choose a password you will NEVER forget - there is no recovery option!',
+      error: "A name is required for a watch-only wallet",
     };
   }
+  const nameError = validateWalletName(name);
+  if (nameError) {
+    return nameError;
+  }
 
-  return {
-    success: true,
-    address: wallet.address,
-    createdAt: wallet.createdAt,
-    note: "This is where your fees from coin launches are sent.",
-  };
-}
-
-/**
- * Get wallet balance
- */
-export async function getBalance(
-  rpcUrl = process.env.RPC_URL || "https://eth.llamarpc.com"
-) {
-  const wallet = loadWallet();
-
-  if (!wallet) {
+  const store = loadStore();
+  if (store.wallets[name]) {
     return {
       success: false,
-      error: "No wallet found",
+      error: `Wallet "${name}" already exists`,
+      address: store.wallets[name].address,
     };
   }
 
-  try {
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const balance = await provider.getBalance(wallet.address);
-
-    return {
-      success: true,
-      address: wallet.address,
-      balance: ethers.formatEther(balance),
-      unit: "ETH",
-    };
-  } catch (err) {
+  const resolved = await resolveAddress(address);
+  if (!resolved.success) {
+    return resolved;
+  }
+  const owned = Object.entries(store.wallets).find(
+    ([, other]) => other.address === resolved.address && !other.watchOnly
+  );
+  if (owned) {
     return {
       success: false,
-      error: `Failed to get balance: ${err.message}`,
+      error: `${resolved.address} is already wallet "${owned[0]}", which holds its key`,
     };
   }
+
+  store.wallets[name] = {
+    address: resolved.address,
+    watchOnly: true,
+    label: label || null,
+    createdAt: new Date().toISOString(),
+  };
+  if (!store.active) {
+    store.active = name;
+  }
+  saveStore(store);
+
+  return {
+    success: true,
+    name,
+    address: resolved.address,
+    label: label || null,
+    watchOnly: true,
+    active: store.active === name,
+    message: `Watching ${resolved.address} as "${name}". Read-only tools (balance, my-fees, listings mine, vesting check) accept it as the wallet; anything that signs is refused.`,
+  };
 }
 
 /**
- * Sign a message with the wallet
+ * Read a signer from whichever import source was given
  */
-export async function signMessage(password, message) {
-  const walletData = loadWallet();
+async function walletFromImportSource(source, password) {
+  const {
+    privateKey,
+    mnemonic,
+    derivationPath,
+    keystorePath,
+    keystorePassword,
+  } = source;
+  const given = [
+    privateKey,
+    mnemonic,
+    keystorePath,
+    source.privateKeyEnv,
+    source.privateKeyFile,
+    source.signerUrl,
+  ].filter(Boolean);
+
+  if (given.length !== 1) {
+    throw new Error(
+      "Provide exactly one of privateKey, mnemonic, keystorePath, privateKeyEnv, privateKeyFile or signerUrl to import"
+    );
+  }
 
-  if (!walletData) {
-    return {
-      success: false,
-      error: "No wallet found",
-    };
+  // Keys that stay outside wallet.json (environment, key file, external signer)
+  const external = await signerFromImportSource(source);
+  if (external) {
+    return external;
+  }
+  if (!password) {
+    throw new Error(
+      "Password required. It encrypts the imported key on this machine."
+    );
   }
 
-  try {
-    const privateKey = decrypt(walletData.encryptedKey, password);
-    const wallet = new ethers.Wallet(privateKey);
-    const signature = await wallet.signMessage(message);
+  if (privateKey) {
+    const key = privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`;
+    try {
+      return { wallet: new ethers.Wallet(key), source: "private-key" };
+    } catch {
+      throw new Error("Invalid private key");
+    }
+  }
 
-    return {
-      success: true,
-      address: wallet.address,
-      message,
-      signature,
-    };
-  } catch (err) {
-    if (
-      err.message.includes("Unsupported state") ||
-      err.message.includes("auth")
-    ) {
+  if (mnemonic) {
+    const phrase = mnemonic.trim().split(/\s+/).join(" ");
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+      throw new Error("Invalid mnemonic phrase");
+    }
+    const walletPath = derivationPath || ethers.defaultPath;
+    try {
       return {
-        success: false,
-        error: "Invalid password",
+        wallet: ethers.HDNodeWallet.fromPhrase(phrase, undefined, walletPath),
+        source: "mnemonic",
+        mnemonic: phrase,
+        derivationPath: walletPath,
       };
+    } catch {
+      throw new Error(`Invalid derivation path: ${walletPath}`);
     }
-    return {
-      success: false,
-      error: `Signing failed: ${err.message}`,
-    };
+  }
+
+  if (!fs.existsSync(keystorePath)) {
+    throw new Error(`Keystore file not found: ${keystorePath}`);
+  }
+  const json = fs.readFileSync(keystorePath, "utf8");
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error("File is not a Web3 Secret Storage keystore");
+  }
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(
+      json,
+      keystorePassword || password
+    );
+    return { wallet, source: "keystore" };
+  } catch {
+    throw new Error("Could not decrypt keystore (wrong keystore password?)");
   }
 }
 
 /**
- * Get decrypted wallet instance (for internal use)
+ * Import an existing key from a raw private key, a BIP-39 mnemonic (with
+ * optional derivation path) or a Web3 Secret Storage keystore file, or
+ * register a key kept elsewhere (privateKeyEnv, privateKeyFile, signerUrl)
+ *
+ * An imported key is re-encrypted with the wallet password using the same
+ * scheme as created wallets; keys kept elsewhere are never copied.
+ * Without a name the key is imported as "default"; an existing wallet is
+ * only replaced when force is set. Replacing destroys the old key, so like
+ * deleteWallet it needs the replaced wallet's password, which then also
+ * protects the imported key.
  */
-export function getDecryptedWallet(password) {
-  const walletData = loadWallet();
+export async function importWallet(password, source, name, force = false) {
+  const store = loadStore();
+  const walletName = name || DEFAULT_KEY;
+  const nameError = validateWalletName(walletName);
+  if (nameError) {
+    return nameError;
+  }
 
-  if (!walletData) {
+  const existing = store.wallets[walletName];
+  if (existing && !force) {
     return {
       success: false,
-      error: "No wallet found",
+      error: name
+        ? `Wallet "${walletName}" already exists. Choose another name, or set force to replace it.`
+        : "A wallet already exists. Give a name to import as an additional wallet, or set force to replace it.",
+      address: existing.address,
     };
   }
+  if (existing && !existing.signer && !existing.watchOnly) {
+    try {
+      decrypt(existing.encryptedKey, password);
+    } catch {
+      return {
+        success: false,
+        error: `Replacing wallet "${walletName}" destroys its key: give its current password (the imported key is encrypted with it too)`,
+        address: existing.address,
+      };
+    }
+  }
 
+  let imported;
   try {
-    const privateKey = decrypt(walletData.encryptedKey, password);
-    const wallet = new ethers.Wallet(privateKey);
-
-    return {
-      success: true,
-      wallet,
-      address: wallet.address,
-    };
+    imported = await walletFromImportSource(source, password);
   } catch (err) {
     return {
       success: false,
-      error: "Invalid password",
+      error: `Import failed: ${err.message}`,
     };
   }
-}
 
-/**
- * Check if wallet exists
- */
-export function hasWallet() {
-  return loadWallet() !== null;
+  const { wallet } = imported;
+  const address = imported.signer ? imported.address : wallet.address;
+  const duplicateOf = Object.entries(store.wallets).find(
+    ([otherName, other]) =>
+      otherName !== walletName && other.address === address
+  );
+
+  const entry = imported.signer
+    ? {
+        address,
+        signer: imported.signer,
+        createdAt: new Date().toISOString(),
+        source: imported.source,
+      }
+    : {
+        address,
+        encryptedKey: encrypt(wallet.privateKey, password),
+        createdAt: new Date().toISOString(),
+        source: imported.source,
+      };
+  if (imported.mnemonic) {
+    entry.encryptedMnemonic = encrypt(imported.mnemonic, password);
+    entry.derivationPath = imported.derivationPath;
+    entry.accounts =
+      imported.derivationPath === `${HD_BASE_PATH}/0`
+        ? [
+            {
+              index: 0,
+              address,
+              label: null,
+              createdAt: entry.createdAt,
+            },
+          ]
+        : [];
+  }
+
+  store.wallets[walletName] = entry;
+  if (!store.active) {
+    store.active = walletName;
+  }
+  saveStore(store);
+  // An unlocked session would keep signing with the replaced key
+  if (existing) {
+    endSession(walletName);
+  }
+
+  const result = {
+    success: true,
+    name: walletName,
+    address,
+    source: imported.source,
+    active: store.active === walletName,
+    message: imported.signer
+      ? `Wallet added. It signs with the ${imported.source} signer and needs no password; the key is not stored by this server.`
+      : `Wallet imported from ${imported.source}.`,
+  };
+  if (imported.signer) {
+    result.signer = describeSigner(imported.signer);
+  }
+  if (imported.warning) {
+    result.warning = imported.warning;
+  }
+  if (imported.derivationPath) {
+    result.derivationPath = imported.derivationPath;
+  }
+  if (existing) {
+    result.replaced = existing.address;
+    result.warning = `The previous key of "${walletName}" (${existing.address}) has been removed from this machine.`;
+  }
+  if (duplicateOf) {
+    result.note = `This address is also stored as wallet "${duplicateOf[0]}".`;
+  }
+  return result;
 }
 
 /**
- * Transfer ETH to another address
- * WARNING: This is irreversible!
+ * Export a wallet as a Web3 Secret Storage v3 keystore (readable by geth,
+ * MetaMask and ethers) protected by the wallet password, and/or reveal the
+ * mnemonic of an HD wallet.
+ *
+ * The mnemonic can only be revealed once; afterwards the keystore export is
+ * the way to get another backup.
  */
-export async function transfer(
-  password,
-  toAddress,
-  amount,
-  rpcUrl = process.env.RPC_URL || "https://eth.llamarpc.com"
-) {
-  const walletData = loadWallet();
+export async function exportWallet(password, options = {}, walletName) {
+  const { outputPath, includeMnemonic = false } = options;
 
-  if (!walletData) {
+  // Backups always need the password itself, an unlocked session is not enough
+  if (!password) {
+    return { success: false, error: "Password required to export a wallet" };
+  }
+
+  if (!outputPath && !includeMnemonic) {
     return {
       success: false,
-      error: "No wallet found",
+      error:
+        "Give an outputPath for the keystore file and/or set includeMnemonic",
     };
   }
 
-  // Validate address
-  if (!ethers.isAddress(toAddress)) {
+  const store = loadStore();
+  const name = resolveWalletName(store, walletName);
+  const walletData = name && store.wallets[name];
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+  if (walletData.watchOnly) {
+    return watchOnlyRefusal({ name, ...walletData });
+  }
+  if (walletData.signer) {
     return {
       success: false,
-      error: "Invalid destination address",
+      error: `Wallet "${name}" signs with the ${walletData.signer.type} signer; its key is not stored here, so back it up where it lives.`,
     };
   }
 
-  try {
-    const privateKey = decrypt(walletData.encryptedKey, password);
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
-
-    // Get current balance
-    const balance = await provider.getBalance(wallet.address);
-    const amountWei = ethers.parseEther(amount);
-
-    if (balance < amountWei) {
+  if (includeMnemonic) {
+    if (!walletData.encryptedMnemonic) {
       return {
         success: false,
-        error: `Insufficient balance. You have ${ethers.formatEther(
-          balance
-        )} ETH but tried to send ${amount} ETH`,
+        error:
+          "This wallet has no mnemonic (it was imported from a private key or keystore, or created before mnemonic backups existed). Export a keystore file instead.",
       };
     }
-
-    // Send transaction
-    const tx = await wallet.sendTransaction({
-      to: toAddress,
-      value: amountWei,
-    });
-
-    // Wait for confirmation
-    const receipt = await tx.wait();
-
-    return {
-      success: true,
-      transactionHash: receipt.hash,
-      from: wallet.address,
-      to: toAddress,
-      amount: amount,
-      unit: "ETH",
-      blockNumber: receipt.blockNumber,
-    };
-  } catch (err) {
-    if (
-      err.message.includes("Unsupported state") ||
-      err.message.includes("auth")
-    ) {
+    if (walletData.mnemonicRevealedAt) {
       return {
         success: false,
-        error: "Invalid password",
+        error: `The mnemonic of this wallet was already shown on ${walletData.mnemonicRevealedAt} and is not shown again. Export a keystore file instead.`,
       };
     }
-    return {
-      success: false,
-      error: `Transfer failed: ${err.message}`,
-    };
   }
-}
-
-/**
- * Collect accumulated fees from the hook contract
- *
- * The VibecoinHook.collectFees(poolId) function:
- * - Requires minimum 0.1 ETH accumulated fees
- * - Automatically converts any token fees to ETH first
- * - Splits fees: collector gets 0.002 ETH reward, rest split 50/50 between owner and creator
- */
-export async function collectFees(
-  password,
-  graphqlUrl,
-  rpcUrl = process.env.RPC_URL || "https://eth.llamarpc.com"
-) {
-  const walletData = loadWallet();
 
-  if (!walletData) {
-    return {
-      success: false,
-      error: "No wallet found",
-    };
+  const walletResult = getDecryptedWallet(password, name);
+  if (!walletResult.success) {
+    return walletResult;
   }
 
-  try {
-    const privateKey = decrypt(walletData.encryptedKey, password);
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const creatorAddress = wallet.address.toLowerCase();
-
-    // Query GraphQL to get user's tokens with pool key components
-    const query = `
-      query GetUserTokens($creator: String!) {
-        tokens(
-          where: { creator: $creator }
-          limit: 100
-        ) {
-          items {
-            id
-            name
-            symbol
-            poolCurrency0
-            poolCurrency1
-            poolFee
-            poolTickSpacing
-            poolHooks
-            totalEthFeesAccumulated
-            totalTokenFeesAccumulated
-          }
-        }
-      }
-    `;
-
-    const graphqlResponse = await fetch(graphqlUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ query, variables: { creator: creatorAddress } }),
-    });
+  const result = {
+    success: true,
+    name,
+    address: walletResult.address,
+  };
 
-    if (!graphqlResponse.ok) {
+  if (outputPath) {
+    let target = path.resolve(outputPath.replace(/^~(?=$|\/)/, os.homedir()));
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      // geth's keystore file naming: UTC--<timestamp>--<address>
+      const stamp = new Date().toISOString().replace(/:/g, "-");
+      target = path.join(
+        target,
+        `UTC--${stamp}--${walletResult.address.slice(2).toLowerCase()}`
+      );
+    }
+    if (fs.existsSync(target)) {
       return {
         success: false,
-        error: "Failed to fetch token data from GraphQL",
+        error: `Refusing to overwrite existing file: ${target}`,
       };
     }
 
-    const graphqlResult = await graphqlResponse.json();
-    if (graphqlResult.errors) {
+    try {
+      const keystore = await walletResult.wallet.encrypt(password);
+      fs.writeFileSync(target, keystore, { mode: 0o600, flag: "wx" });
+    } catch (err) {
       return {
         success: false,
-        error: `GraphQL error: ${graphqlResult.errors[0].message}`,
+        error: `Failed to write keystore: ${err.message}`,
       };
     }
 
-    const tokens = graphqlResult.data?.tokens?.items || [];
+    result.keystorePath = target;
+    result.format = "Web3 Secret Storage v3";
+    result.note =
+      "The keystore is protected by your wallet password. Import it in MetaMask (Import account > JSON file) or geth (copy into the keystore directory).";
+  }
 
-    if (tokens.length === 0) {
-      return {
+  if (includeMnemonic) {
+    result.mnemonic = decrypt(walletData.encryptedMnemonic, password);
+    result.derivationPath = walletData.derivationPath || ethers.defaultPath;
+    result.warning =
+      "Write the mnemonic down offline now. It will NOT be shown again, and anyone who sees it controls this wallet.";
+
+    // Reload: unlocking may have rewritten the file with upgraded encryption
+    const latest = loadStore();
+    latest.wallets[name].mnemonicRevealedAt = new Date().toISOString();
+    saveStore(latest);
+  }
+
+  return result;
+}
+
+/**
+ * List all wallets (no password needed)
+ */
+export function listWallets() {
+  const store = loadStore();
+  const wallets = Object.entries(store.wallets).map(([name, wallet]) => ({
+    name,
+    address: wallet.address,
+    signer: wallet.watchOnly ? null : describeSigner(wallet.signer).type,
+    watchOnly: wallet.watchOnly || undefined,
+    label: wallet.label || undefined,
+    createdAt: wallet.createdAt,
+    active: name === store.active,
+  }));
+
+  return {
+    success: true,
+    active: store.active,
+    wallets,
+    totalWallets: wallets.length,
+  };
+}
+
+/**
+ * Make a wallet the active one used when no wallet name is given
+ */
+export function selectWallet(name) {
+  const store = loadStore();
+
+  if (!name || !store.wallets[name]) {
+    return noWalletError(name);
+  }
+
+  store.active = name;
+  saveStore(store);
+
+  return {
+    success: true,
+    active: name,
+    address: store.wallets[name].address,
+    message: `Wallet "${name}" is now the active wallet.`,
+  };
+}
+
+/**
+ * Rename a wallet, keeping it active if it was
+ */
+export function renameWallet(name, newName) {
+  const store = loadStore();
+
+  if (!name || !store.wallets[name]) {
+    return noWalletError(name);
+  }
+
+  const nameError = validateWalletName(newName || "");
+  if (nameError) {
+    return nameError;
+  }
+
+  if (store.wallets[newName]) {
+    return {
+      success: false,
+      error: `Wallet "${newName}" already exists`,
+    };
+  }
+
+  store.wallets[newName] = store.wallets[name];
+  delete store.wallets[name];
+  endSession(name);
+  if (store.active === name) {
+    store.active = newName;
+  }
+  saveStore(store);
+
+  return {
+    success: true,
+    name: newName,
+    previousName: name,
+    address: store.wallets[newName].address,
+    active: store.active === newName,
+  };
+}
+
+/**
+ * Delete a wallet
+ * WARNING: This destroys the encrypted key. The password is required so a
+ * wallet can only be removed by someone who could have exported it.
+ */
+export function deleteWallet(name, password) {
+  const store = loadStore();
+
+  if (!name || !store.wallets[name]) {
+    return noWalletError(name);
+  }
+
+  // Only keystore wallets hold a key here that needs protecting
+  const { signer, watchOnly } = store.wallets[name];
+  if (!signer && !watchOnly) {
+    if (!password) {
+      return {
         success: false,
-        error:
-          "No tokens found for this wallet. Launch a token first to earn fees.",
+        error: "Password required to delete a wallet",
+      };
+    }
+    try {
+      decrypt(store.wallets[name].encryptedKey, password);
+    } catch {
+      return {
+        success: false,
+        error: "Invalid password",
       };
     }
+  }
 
-    // Compute pool ID from pool key components
-    // PoolId = keccak256(abi.encode(currency0, currency1, fee, tickSpacing, hooks))
-    function computePoolId(token) {
-      return ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["address", "address", "uint24", "int24", "address"],
-          [
-            token.poolCurrency0,
-            token.poolCurrency1,
-            token.poolFee,
-            token.poolTickSpacing,
-            token.poolHooks,
-          ]
-        )
-      );
+  const { address } = store.wallets[name];
+  delete store.wallets[name];
+  endSession(name);
+  if (store.active === name) {
+    store.active = Object.keys(store.wallets)[0] || null;
+  }
+  saveStore(store);
+
+  return {
+    success: true,
+    deleted: name,
+    address,
+    active: store.active,
+    warning: watchOnly
+      ? "The watch-only wallet was removed."
+      : signer
+      ? `The wallet was removed. Its key was not stored here and is untouched (${signer.type} signer).`
+      : "The wallet's key has been removed from this machine. Any funds left at this address are only reachable with a backup of the key.",
+  };
+}
+
+/**
+ * Get wallet address (no password needed)
+ */
+export function getWalletAddress(name, account) {
+  const wallet = loadWallet(name);
+
+  if (!wallet) {
+    if (name) {
+      return noWalletError(name);
     }
+    return {
+      success: false,
+      error:
+        'No wallet found. Create one first with action="create" and a password. This wallet is where your fees from coin launches will be sent. Choose a password you will NEVER forget - there is no recovery option!',
+    };
+  }
 
-    // VibecoinHook ABI for collectFees
-    const HOOK_ABI = [
-      "function collectFees(bytes32 poolId) external",
-      "function getPoolFees(bytes32 poolId) external view returns (uint256)",
-      "function getPoolTokenFees(bytes32 poolId) external view returns (uint256)",
-    ];
+  if (hasAccount(account)) {
+    const accountResult = resolveAccount(wallet, account);
+    if (!accountResult.success) {
+      return accountResult;
+    }
+    return {
+      success: true,
+      name: wallet.name,
+      account: accountResult.account.index,
+      accountLabel: accountResult.account.label,
+      address: accountResult.account.address,
+      createdAt: accountResult.account.createdAt,
+      note: "This is where fees from coins launched by this account are sent.",
+    };
+  }
 
-    // Hook address (Sepolia deployment)
-    const hookAddress =
-      process.env.HOOK_ADDRESS || "0xd6C6d48e8ff38DD7F242E34442FBdaA10eCF7A44";
-    const hook = new ethers.Contract(hookAddress, HOOK_ABI, wallet);
+  if (wallet.watchOnly) {
+    return {
+      success: true,
+      name: wallet.name,
+      address: wallet.address,
+      label: wallet.label,
+      watchOnly: true,
+      createdAt: wallet.createdAt,
+      note: "Watch-only: this server tracks this address but holds no key for it.",
+    };
+  }
 
-    const results = [];
-    const MIN_FEE_COLLECTION = ethers.parseEther("0.1");
+  return {
+    success: true,
+    name: wallet.name,
+    address: wallet.address,
+    createdAt: wallet.createdAt,
+    note: "This is where your fees from coin launches are sent.",
+  };
+}
 
-    for (const token of tokens) {
-      const poolId = computePoolId(token);
+/**
+ * Derive a new account of an HD wallet (m/44'/60'/0'/0/<index>)
+ * Without an index the next unused one is taken.
+ */
+export function deriveAccount(password, walletName, index, label) {
+  const walletData = loadWallet(walletName);
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+  if (!walletData.encryptedMnemonic) {
+    return {
+      success: false,
+      error: `Wallet "${walletData.name}" is not an HD wallet (it has no mnemonic), so it cannot derive accounts`,
+    };
+  }
 
-      try {
-        // Check accumulated fees (ETH + pending token fees)
-        const ethFees = await hook.getPoolFees(poolId);
-        const tokenFees = await hook.getPoolTokenFees(poolId);
-
-        // Note: collectFees will convert token fees automatically
-        // But we estimate if total would meet minimum
-        if (ethFees < MIN_FEE_COLLECTION && tokenFees === 0n) {
-          results.push({
-            poolId,
-            tokenAddress: token.id,
-            tokenName: token.name,
-            tokenSymbol: token.symbol,
-            status: "skipped",
-            reason: `Insufficient fees: ${ethers.formatEther(
-              ethFees
-            )} ETH (minimum 0.1 ETH required)`,
-          });
-          continue;
-        }
+  const accounts = walletData.accounts || [];
+  const accountIndex =
+    index === undefined || index === null || index === ""
+      ? accounts.reduce((next, a) => Math.max(next, a.index + 1), 0)
+      : Number(index);
+
+  if (
+    !Number.isInteger(accountIndex) ||
+    accountIndex < 0 ||
+    accountIndex >= 2 ** 31
+  ) {
+    return { success: false, error: `Invalid account index: ${index}` };
+  }
+  if (accounts.some((a) => a.index === accountIndex)) {
+    return {
+      success: false,
+      error: `Account ${accountIndex} already exists`,
+    };
+  }
+  if (label) {
+    const labelError = validateAccountLabel(accounts, label);
+    if (labelError) {
+      return labelError;
+    }
+  }
 
-        // Collect fees (automatically converts token fees first)
-        const tx = await hook.collectFees(poolId);
-        const receipt = await tx.wait();
+  // An unlocked wallet can derive without the password
+  let hdRoot;
+  if (password) {
+    try {
+      hdRoot = hdRootFromMnemonic(walletData, password);
+    } catch {
+      return { success: false, error: "Invalid password" };
+    }
+  } else {
+    const session = useSession(walletData.name);
+    if (!session || !session.hdRoot) {
+      return {
+        success: false,
+        error: `Password required. Give the password, or unlock wallet "${walletData.name}" first with action="unlock".`,
+      };
+    }
+    hdRoot = session.hdRoot;
+  }
+  const derived = hdRoot.deriveChild(accountIndex);
 
-        results.push({
-          poolId,
-          tokenAddress: token.id,
-          tokenName: token.name,
-          tokenSymbol: token.symbol,
-          status: "collected",
-          transactionHash: receipt.hash,
-          blockNumber: receipt.blockNumber,
-          ethFees: ethers.formatEther(ethFees),
-          tokenFeesPending: ethers.formatEther(tokenFees),
-        });
-      } catch (poolErr) {
-        results.push({
-          poolId,
-          tokenAddress: token.id,
-          tokenName: token.name,
-          tokenSymbol: token.symbol,
-          status: "error",
-          error: poolErr.message,
-        });
-      }
+  const entry = {
+    index: accountIndex,
+    address: derived.address,
+    label: label || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = loadStore();
+  store.wallets[walletData.name].accounts = [...accounts, entry].sort(
+    (a, b) => a.index - b.index
+  );
+  saveStore(store);
+
+  return {
+    success: true,
+    name: walletData.name,
+    account: entry.index,
+    label: entry.label,
+    address: entry.address,
+    derivationPath: `${HD_BASE_PATH}/${entry.index}`,
+  };
+}
+
+function validateAccountLabel(accounts, label, exceptIndex) {
+  if (!ACCOUNT_LABEL_PATTERN.test(label)) {
+    return {
+      success: false,
+      error:
+        "Invalid label. Start with a letter; use up to 32 letters, numbers, spaces, dashes or underscores.",
+    };
+  }
+  const taken = accounts.find(
+    (a) =>
+      a.index !== exceptIndex &&
+      a.label &&
+      a.label.toLowerCase() === label.toLowerCase()
+  );
+  if (taken) {
+    return {
+      success: false,
+      error: `Label "${label}" is already used by account ${taken.index}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * List the derived accounts of a wallet (no password needed)
+ */
+export function listAccounts(walletName) {
+  const walletData = loadWallet(walletName);
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  return {
+    success: true,
+    name: walletData.name,
+    hd: Boolean(walletData.encryptedMnemonic),
+    primaryAddress: walletData.address,
+    accounts: (walletData.accounts || []).map((a) => ({
+      ...a,
+      derivationPath: `${HD_BASE_PATH}/${a.index}`,
+    })),
+  };
+}
+
+/**
+ * Set or clear (empty label) the label of a derived account
+ */
+export function labelAccount(walletName, account, label) {
+  const store = loadStore();
+  const name = resolveWalletName(store, walletName);
+  const walletData = name && store.wallets[name];
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  const accountResult = resolveAccount({ name, ...walletData }, account);
+  if (!accountResult.success) {
+    return accountResult;
+  }
+  const { index } = accountResult.account;
+
+  if (label) {
+    const labelError = validateAccountLabel(walletData.accounts, label, index);
+    if (labelError) {
+      return labelError;
+    }
+  }
+
+  const entry = walletData.accounts.find((a) => a.index === index);
+  entry.label = label || null;
+  saveStore(store);
+
+  return {
+    success: true,
+    name,
+    account: index,
+    label: entry.label,
+    address: entry.address,
+  };
+}
+
+/**
+ * Every distinct address of a wallet: its primary key plus derived accounts
+ * Each item: { account, label, address } (account is null for the primary key)
+ */
+export function getWalletAddresses(walletName) {
+  const walletData = loadWallet(walletName);
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  const addresses = [
+    { account: null, label: null, address: walletData.address },
+  ];
+  for (const a of walletData.accounts || []) {
+    if (a.address === walletData.address) {
+      // Account 0 of a created wallet is its primary key
+      addresses[0] = { account: a.index, label: a.label, address: a.address };
+    } else {
+      addresses.push({ account: a.index, label: a.label, address: a.address });
     }
+  }
+
+  return { success: true, name: walletData.name, addresses };
+}
+
+/**
+ * Get wallet balance
+ */
+export async function getBalance(rpcUrl = DEFAULT_RPC_URL, walletName) {
+  const wallet = loadWallet(walletName);
+
+  if (!wallet) {
+    return noWalletError(walletName);
+  }
 
-    const collected = results.filter((r) => r.status === "collected");
-    const skipped = results.filter((r) => r.status === "skipped");
-    const errors = results.filter((r) => r.status === "error");
+  try {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const balance = await provider.getBalance(wallet.address);
 
     return {
       success: true,
-      message: `Processed ${tokens.length} token(s)`,
-      summary: {
-        collected: collected.length,
-        skipped: skipped.length,
-        errors: errors.length,
-      },
-      results,
-      note: "Fees require minimum 0.1 ETH to collect. Collector receives 0.002 ETH reward, rest split between platform and creator.",
+      name: wallet.name,
+      address: wallet.address,
+      balance: ethers.formatEther(balance),
+      unit: "ETH",
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to get balance: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Sign a message with the wallet (EIP-191 personal_sign)
+ */
+export async function signMessage(password, message, walletName, account) {
+  const walletData = loadWallet(walletName);
+
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  if (typeof message !== "string" || message.length === 0) {
+    return {
+      success: false,
+      error: "message must be a non-empty string",
+    };
+  }
+
+  const allowed = checkAction("sign");
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  try {
+    const walletResult = getDecryptedWallet(password, walletData.name, account);
+    if (!walletResult.success) {
+      return walletResult;
+    }
+    const { wallet } = walletResult;
+    const signature = await wallet.signMessage(message);
+
+    recordTransaction({
+      type: "sign-message",
+      status: "signed",
+      wallet: walletData.name,
+      account: walletResult.account,
+      from: wallet.address,
+      description: message.length > 80 ? `${message.slice(0, 77)}...` : message,
+      digest: ethers.hashMessage(message),
+    });
+
+    return {
+      success: true,
+      address: wallet.address,
+      message,
+      signature,
     };
   } catch (err) {
     if (
@@ -556,7 +1264,1271 @@ export async function collectFees(
     }
     return {
       success: false,
-      error: `Fee collection failed: ${err.message}`,
+      error: `Signing failed: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Normalize EIP-712 typed data ({ domain, types, message, primaryType? },
+ * as an object or JSON string) into what ethers expects: EIP712Domain is
+ * implied by the domain, and with a primaryType only the types it uses
+ * are kept, so unrelated types can't make the primary type ambiguous.
+ */
+function parseTypedData(typedData) {
+  let data = typedData;
+  if (typeof data === "string") {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return { success: false, error: "typedData is not valid JSON" };
+    }
+  }
+  if (!data || typeof data !== "object") {
+    return { success: false, error: "typedData must be an object" };
+  }
+
+  const { domain = {}, types, message, primaryType } = data;
+  if (!types || typeof types !== "object" || !message) {
+    return {
+      success: false,
+      error: "typedData needs types and message (and usually a domain)",
     };
   }
+
+  const { EIP712Domain, ...structTypes } = types;
+  for (const [typeName, fields] of Object.entries(structTypes)) {
+    if (
+      !Array.isArray(fields) ||
+      fields.some(
+        (field) =>
+          typeof field?.name !== "string" || typeof field?.type !== "string"
+      )
+    ) {
+      return {
+        success: false,
+        error: `Invalid typedData: types.${typeName} must be a list of { name, type } fields`,
+      };
+    }
+  }
+
+  let usedTypes = structTypes;
+  if (primaryType) {
+    if (!structTypes[primaryType]) {
+      return {
+        success: false,
+        error: `primaryType "${primaryType}" is not defined in types`,
+      };
+    }
+    usedTypes = {};
+    const queue = [primaryType];
+    while (queue.length > 0) {
+      const typeName = queue.shift();
+      if (usedTypes[typeName]) {
+        continue;
+      }
+      usedTypes[typeName] = structTypes[typeName];
+      for (const field of structTypes[typeName]) {
+        const baseType = field.type.replace(/(\[\d*\])+$/, "");
+        if (structTypes[baseType]) {
+          queue.push(baseType);
+        }
+      }
+    }
+  }
+
+  try {
+    const encoder = ethers.TypedDataEncoder.from(usedTypes);
+    return {
+      success: true,
+      domain,
+      types: usedTypes,
+      message,
+      primaryType: encoder.primaryType,
+      digest: ethers.TypedDataEncoder.hash(domain, usedTypes, message),
+    };
+  } catch (err) {
+    return { success: false, error: `Invalid typedData: ${err.message}` };
+  }
+}
+
+/**
+ * Sign EIP-712 typed data with the wallet (eth_signTypedData_v4)
+ * WARNING: typed signatures such as permits can authorize spending tokens
+ */
+export async function signTypedData(password, typedData, walletName, account) {
+  const parsed = parseTypedData(typedData);
+  if (!parsed.success) {
+    return parsed;
+  }
+
+  const allowed = checkAction("sign-typed-data");
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  const walletResult = getDecryptedWallet(password, walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  const { wallet } = walletResult;
+
+  try {
+    const signature = await wallet.signTypedData(
+      parsed.domain,
+      parsed.types,
+      parsed.message
+    );
+
+    recordTransaction({
+      type: "sign-typed-data",
+      status: "signed",
+      wallet: walletResult.name,
+      account: walletResult.account,
+      from: wallet.address,
+      to: parsed.domain.verifyingContract,
+      chain: parsed.domain.chainId
+        ? { chainId: Number(parsed.domain.chainId) }
+        : undefined,
+      description: `${parsed.primaryType}${
+        parsed.domain.name ? ` for ${parsed.domain.name}` : ""
+      }`,
+      digest: parsed.digest,
+    });
+
+    return {
+      success: true,
+      address: wallet.address,
+      primaryType: parsed.primaryType,
+      domain: parsed.domain,
+      digest: parsed.digest,
+      signature,
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Signing failed: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Recover the signer of a personal_sign message or of EIP-712 typed data
+ * and, with expectedAddress, check that it matches. No wallet needed.
+ */
+export function verifySignature({
+  message,
+  typedData,
+  signature,
+  expectedAddress,
+}) {
+  if (!signature) {
+    return { success: false, error: "signature is required" };
+  }
+  if ((message === undefined) === (typedData === undefined)) {
+    return {
+      success: false,
+      error: "Provide either message or typedData (not both)",
+    };
+  }
+  if (expectedAddress && !ethers.isAddress(expectedAddress)) {
+    return { success: false, error: "Invalid expectedAddress" };
+  }
+
+  try {
+    let recoveredAddress;
+    let details;
+    if (typedData !== undefined) {
+      const parsed = parseTypedData(typedData);
+      if (!parsed.success) {
+        return parsed;
+      }
+      recoveredAddress = ethers.verifyTypedData(
+        parsed.domain,
+        parsed.types,
+        parsed.message,
+        signature
+      );
+      details = {
+        kind: "eip712",
+        primaryType: parsed.primaryType,
+        digest: parsed.digest,
+      };
+    } else {
+      recoveredAddress = ethers.verifyMessage(message, signature);
+      details = { kind: "personal_sign", digest: ethers.hashMessage(message) };
+    }
+
+    const result = { success: true, ...details, recoveredAddress };
+    if (expectedAddress) {
+      result.expectedAddress = ethers.getAddress(expectedAddress);
+      result.valid = result.expectedAddress === recoveredAddress;
+    }
+    return result;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not recover the signer: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Find a derived account of an HD wallet by index or label
+ */
+function resolveAccount(walletData, account) {
+  if (!walletData.encryptedMnemonic) {
+    return {
+      success: false,
+      error: `Wallet "${walletData.name}" is not an HD wallet and has no derived accounts`,
+    };
+  }
+
+  const accounts = walletData.accounts || [];
+  const byIndex = /^\d+$/.test(String(account));
+  const found = byIndex
+    ? accounts.find((a) => a.index === Number(account))
+    : accounts.find(
+        (a) =>
+          a.label && a.label.toLowerCase() === String(account).toLowerCase()
+      );
+
+  if (!found) {
+    return {
+      success: false,
+      error: byIndex
+        ? `Account ${account} has not been derived yet. Use action="derive" first.`
+        : `No account labelled "${account}" in wallet "${walletData.name}"`,
+    };
+  }
+  return { success: true, account: found };
+}
+
+function hasAccount(account) {
+  return account !== undefined && account !== null && account !== "";
+}
+
+function hdRootFromMnemonic(walletData, password) {
+  const phrase = decrypt(walletData.encryptedMnemonic, password);
+  return ethers.HDNodeWallet.fromPhrase(phrase, undefined, HD_BASE_PATH);
+}
+
+/**
+ * Decrypt a wallet's signer, and its HD account root when needRoot is set,
+ * with the password or from an unlocked session (one operation)
+ */
+function unlockSigners(walletData, password, needRoot) {
+  if (walletData.watchOnly) {
+    return watchOnlyRefusal(walletData);
+  }
+
+  // Wallets with a signer backend need no password or session
+  if (walletData.signer) {
+    try {
+      return {
+        success: true,
+        wallet: openSigner(walletData.signer, walletData.address),
+        hdRoot: null,
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  if (!password) {
+    const session = useSession(walletData.name);
+    if (!session) {
+      return {
+        success: false,
+        error: `Password required. Give the password, or unlock wallet "${walletData.name}" first with action="unlock".`,
+      };
+    }
+    return { success: true, ...session, session: true };
+  }
+
+  let privateKey;
+  let hdRoot = null;
+  try {
+    privateKey = decrypt(walletData.encryptedKey, password);
+    if (needRoot && walletData.encryptedMnemonic) {
+      hdRoot = hdRootFromMnemonic(walletData, password);
+    }
+  } catch (err) {
+    return {
+      success: false,
+      error: "Invalid password",
+    };
+  }
+
+  if (needsRehash(walletData.encryptedKey)) {
+    upgradeWalletEncryption(walletData.name, password);
+  }
+
+  try {
+    return { success: true, wallet: new ethers.Wallet(privateKey), hdRoot };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Stored key is unreadable: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Get decrypted wallet instance (for internal use)
+ * With an account (index or label) the signer is that derived HD account.
+ * Without a password, the signer of an unlocked session is used (counting as
+ * one operation). A successful unlock also migrates the wallet to the current
+ * encryption settings if it was written with older ones.
+ */
+export function getDecryptedWallet(password, walletName, account) {
+  const walletData = loadWallet(walletName);
+
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  let accountEntry = null;
+  if (hasAccount(account)) {
+    const accountResult = resolveAccount(walletData, account);
+    if (!accountResult.success) {
+      return accountResult;
+    }
+    accountEntry = accountResult.account;
+  }
+
+  const unlocked = unlockSigners(walletData, password, Boolean(accountEntry));
+  if (!unlocked.success) {
+    return unlocked;
+  }
+
+  const result = {
+    success: true,
+    wallet: unlocked.wallet,
+    name: walletData.name,
+    address: unlocked.wallet.address,
+  };
+  if (accountEntry) {
+    result.wallet = unlocked.hdRoot.deriveChild(accountEntry.index);
+    result.address = result.wallet.address;
+    result.account = accountEntry.index;
+    result.accountLabel = accountEntry.label;
+  }
+  if (unlocked.session) {
+    result.session = true;
+  }
+  return result;
+}
+
+/**
+ * Signers for every address of a wallet (primary key and derived accounts)
+ * from a single unlock. Items: { account, label, address, wallet }
+ */
+function getAllSigners(password, walletName) {
+  const walletData = loadWallet(walletName);
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  const unlocked = unlockSigners(walletData, password, true);
+  if (!unlocked.success) {
+    return unlocked;
+  }
+
+  const { addresses } = getWalletAddresses(walletData.name);
+  const signers = addresses.map((entry) => ({
+    ...entry,
+    wallet:
+      entry.address === walletData.address
+        ? unlocked.wallet
+        : unlocked.hdRoot.deriveChild(entry.account),
+  }));
+
+  return { success: true, name: walletData.name, signers };
+}
+
+/**
+ * Unlock a wallet for a limited time so write actions work without a password
+ * Options: ttlSeconds, idleSeconds, maxOperations
+ */
+export function unlockWallet(password, walletName, options = {}) {
+  const walletData = loadWallet(walletName);
+  if (walletData?.watchOnly) {
+    return watchOnlyRefusal(walletData);
+  }
+  if (walletData?.signer) {
+    return {
+      success: true,
+      wallet: walletData.name,
+      address: walletData.address,
+      signer: describeSigner(walletData.signer),
+      message: `Wallet "${walletData.name}" signs with the ${walletData.signer.type} signer and is never locked.`,
+    };
+  }
+
+  const optionsError = sessionOptionsError(options);
+  if (optionsError) {
+    return { success: false, error: optionsError };
+  }
+  if (!password) {
+    return { success: false, error: "Password required to unlock" };
+  }
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  // Keep the HD root too, so derived accounts can sign while unlocked
+  const unlocked = unlockSigners(walletData, password, true);
+  if (!unlocked.success) {
+    return unlocked;
+  }
+
+  const session = startSession(
+    walletData.name,
+    unlocked.wallet,
+    options,
+    unlocked.hdRoot
+  );
+  return {
+    success: true,
+    ...session,
+    message: `Wallet "${walletData.name}" unlocked. Write actions on it no longer need the password until it locks.`,
+  };
+}
+
+/**
+ * Lock one wallet, or every unlocked wallet when all is set
+ */
+export function lockWallet(walletName, all = false) {
+  if (all) {
+    const locked = endAllSessions();
+    return { success: true, locked };
+  }
+
+  const store = loadStore();
+  const name = resolveWalletName(store, walletName);
+  if (!name) {
+    return noWalletError(walletName);
+  }
+  return {
+    success: true,
+    locked: endSession(name) ? [name] : [],
+  };
+}
+
+/**
+ * Whether a wallet has an active unlock session (no password needed)
+ */
+export function isWalletUnlocked(walletName) {
+  const store = loadStore();
+  const name = resolveWalletName(store, walletName);
+  return (
+    Boolean(name) &&
+    (isSessionActive(name) || Boolean(store.wallets[name]?.signer))
+  );
+}
+
+/**
+ * Lock state of a wallet, for display
+ */
+export function getSessionStatus(walletName) {
+  const store = loadStore();
+  const name = resolveWalletName(store, walletName);
+  if (name && store.wallets[name]?.signer) {
+    return {
+      unlocked: true,
+      signer: describeSigner(store.wallets[name].signer),
+    };
+  }
+  if (name && store.wallets[name]?.watchOnly) {
+    return { unlocked: false, watchOnly: true };
+  }
+  const session = name ? getSessionInfo(name) : null;
+  return session ? { unlocked: true, ...session } : { unlocked: false };
+}
+
+/**
+ * Change the password of a wallet, optionally switching its KDF
+ * ("pbkdf2" or "scrypt"). The file is replaced atomically, so a crash during
+ * the change leaves either the old or the new encryption, never neither.
+ */
+export function changePassword(oldPassword, newPassword, walletName, kdf) {
+  if (!newPassword) {
+    return {
+      success: false,
+      error: "New password is required",
+    };
+  }
+
+  if (kdf && !KDF_PRESETS[kdf]) {
+    return {
+      success: false,
+      error: `Unsupported KDF "${kdf}". Use one of: ${Object.keys(
+        KDF_PRESETS
+      ).join(", ")}`,
+    };
+  }
+
+  const store = loadStore();
+  const name = resolveWalletName(store, walletName);
+  const walletData = name && store.wallets[name];
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  if (walletData.watchOnly) {
+    return watchOnlyRefusal({ name, ...walletData });
+  }
+  if (walletData.signer) {
+    return {
+      success: false,
+      error: `Wallet "${name}" signs with the ${walletData.signer.type} signer and has no password.`,
+    };
+  }
+
+  const targetKdf = kdf || kdfOf(walletData.encryptedKey).kdf;
+  try {
+    store.wallets[name] = reencryptWallet(
+      walletData,
+      oldPassword,
+      newPassword,
+      targetKdf
+    );
+  } catch (err) {
+    return {
+      success: false,
+      error: "Invalid password",
+    };
+  }
+  saveStore(store);
+  endSession(name);
+
+  return {
+    success: true,
+    name,
+    address: walletData.address,
+    kdf: targetKdf,
+    kdfParams: KDF_PRESETS[targetKdf],
+    message: `Password of wallet "${name}" changed.`,
+    warning:
+      "Keystore files exported earlier are still protected by the OLD password.",
+  };
+}
+
+/**
+ * Check if wallet exists
+ */
+export function hasWallet(walletName) {
+  return loadWallet(walletName) !== null;
+}
+
+// VibecoinHook ABI for collectFees
+const HOOK_ABI = [
+  "function collectFees(bytes32 poolId) external",
+  "function getPoolFees(bytes32 poolId) external view returns (uint256)",
+  "function getPoolTokenFees(bytes32 poolId) external view returns (uint256)",
+];
+
+// Hook address (Sepolia deployment)
+const HOOK_ADDRESS =
+  process.env.HOOK_ADDRESS || "0xd6C6d48e8ff38DD7F242E34442FBdaA10eCF7A44";
+
+// The hook refuses to collect less than this
+const MIN_FEE_COLLECTION = ethers.parseEther("0.1");
+
+async function buildTransferPlan({ walletName, toAddress, amount, rpcUrl }) {
+  const walletData = loadWallet(walletName);
+  if (!walletData) {
+    return noWalletError(walletName);
+  }
+
+  // Validate address
+  if (!ethers.isAddress(toAddress)) {
+    return {
+      success: false,
+      error: "Invalid destination address",
+    };
+  }
+
+  let amountWei;
+  try {
+    amountWei = ethers.parseEther(amount);
+  } catch {
+    return { success: false, error: `Invalid amount: ${amount}` };
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const chain = await getChain(provider);
+  const tx = await planTransaction(provider, {
+    from: walletData.address,
+    to: toAddress,
+    value: amountWei,
+    description: `Send ${amount} ETH`,
+  });
+
+  // The balance has to cover the amount AND the gas
+  const balance = await provider.getBalance(walletData.address);
+  const maxCost = tx.value + tx.gasLimit * tx.maxFeePerGas;
+  if (balance < maxCost) {
+    return {
+      success: false,
+      error: `Insufficient balance. You have ${ethers.formatEther(
+        balance
+      )} ETH but sending ${amount} ETH can cost up to ${ethers.formatEther(
+        maxCost
+      )} ETH including gas`,
+    };
+  }
+
+  return {
+    success: true,
+    plan: {
+      action: "transfer",
+      walletName: walletData.name,
+      rpcUrl,
+      chain,
+      txs: [tx],
+      summary: {
+        from: walletData.address,
+        to: tx.to,
+        amount,
+        unit: "ETH",
+      },
+    },
+  };
+}
+
+/**
+ * Preview an ETH transfer: gas estimate, total cost, checksummed recipient
+ * and chain, plus a confirmationId for confirmTransaction
+ * toAddress can be an address, an address book label or an ENS name.
+ */
+export async function previewTransfer(
+  toAddress,
+  amount,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName
+) {
+  try {
+    // Labels and ENS names are resolved once, here: the confirmation sends
+    // to the address shown in the preview
+    const recipient = await resolveAddress(toAddress, rpcUrl, {
+      checkUsage: true,
+    });
+    if (!recipient.success) {
+      return recipient;
+    }
+    const { success, warnings, ...resolved } = recipient;
+
+    const params = {
+      walletName,
+      toAddress: resolved.address,
+      amount,
+      rpcUrl,
+    };
+    const planResult = await buildTransferPlan(params);
+    if (planResult.success) {
+      planResult.plan.rebuild = () => buildTransferPlan(params);
+    }
+    const preview = previewPlan(
+      planResult,
+      "⚠️ Transfers are IRREVERSIBLE. Check the recipient address carefully."
+    );
+    return preview.success
+      ? { ...preview, recipient: resolved, warnings }
+      : preview;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Transfer preview failed: ${err.message}`,
+    };
+  }
+}
+
+// Compute pool ID from pool key components
+// PoolId = keccak256(abi.encode(currency0, currency1, fee, tickSpacing, hooks))
+function computePoolId(token) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address", "uint24", "int24", "address"],
+      [
+        token.poolCurrency0,
+        token.poolCurrency1,
+        token.poolFee,
+        token.poolTickSpacing,
+        token.poolHooks,
+      ]
+    )
+  );
+}
+
+/**
+ * Plan fee collection for every pool of the tokens created by one address
+ *
+ * The VibecoinHook.collectFees(poolId) function:
+ * - Requires minimum 0.1 ETH accumulated fees
+ * - Automatically converts any token fees to ETH first
+ * - Splits fees: collector gets 0.002 ETH reward, rest split 50/50 between owner and creator
+ */
+async function planCollectFeesFor(creator, graphqlUrl, provider) {
+  // Query GraphQL to get user's tokens with pool key components
+  const query = `
+    query GetUserTokens($creator: String!) {
+      tokens(
+        where: { creator: $creator }
+        limit: 100
+      ) {
+        items {
+          id
+          name
+          symbol
+          poolCurrency0
+          poolCurrency1
+          poolFee
+          poolTickSpacing
+          poolHooks
+          totalEthFeesAccumulated
+          totalTokenFeesAccumulated
+        }
+      }
+    }
+  `;
+
+  let data;
+  try {
+    data = await queryGraphQL(graphqlUrl, query, {
+      creator: creator.address.toLowerCase(),
+    });
+  } catch (err) {
+    throw new Error(`GraphQL error: ${err.message}`);
+  }
+
+  const tokens = data?.tokens?.items || [];
+  const hook = new ethers.Contract(HOOK_ADDRESS, HOOK_ABI, provider);
+  const txs = [];
+  const results = [];
+
+  for (const token of tokens) {
+    const poolId = computePoolId(token);
+    const pool = {
+      poolId,
+      tokenAddress: token.id,
+      tokenName: token.name,
+      tokenSymbol: token.symbol,
+    };
+
+    try {
+      // Check accumulated fees (ETH + pending token fees)
+      const ethFees = await hook.getPoolFees(poolId);
+      const tokenFees = await hook.getPoolTokenFees(poolId);
+
+      // Note: collectFees will convert token fees automatically
+      // But we estimate if total would meet minimum
+      if (ethFees < MIN_FEE_COLLECTION && tokenFees === 0n) {
+        results.push({
+          ...pool,
+          status: "skipped",
+          reason: `Insufficient fees: ${ethers.formatEther(
+            ethFees
+          )} ETH (minimum 0.1 ETH required)`,
+        });
+        continue;
+      }
+
+      txs.push(
+        await planTransaction(provider, {
+          from: creator.address,
+          to: HOOK_ADDRESS,
+          data: hook.interface.encodeFunctionData("collectFees", [poolId]),
+          description: `Collect fees for ${token.name} (${token.symbol})`,
+          account: creator.account,
+          pool: {
+            ...pool,
+            ethFees: ethers.formatEther(ethFees),
+            tokenFeesPending: ethers.formatEther(tokenFees),
+          },
+        })
+      );
+      results.push({ ...pool, status: "ready" });
+    } catch (poolErr) {
+      results.push({ ...pool, status: "error", error: poolErr.message });
+    }
+  }
+
+  return { tokens, txs, results };
+}
+
+async function buildCollectFeesPlan({
+  walletName,
+  account,
+  graphqlUrl,
+  rpcUrl,
+}) {
+  const allAccounts = account === "all";
+  const addressesResult = allAccounts
+    ? getWalletAddresses(walletName)
+    : getWalletAddress(walletName, account);
+  if (!addressesResult.success) {
+    return addressesResult;
+  }
+
+  const creators = allAccounts
+    ? addressesResult.addresses
+    : [
+        {
+          account: addressesResult.account ?? null,
+          label: addressesResult.accountLabel ?? null,
+          address: addressesResult.address,
+        },
+      ];
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const chain = await getChain(provider);
+  const txs = [];
+  const accounts = [];
+  let tokenCount = 0;
+
+  for (const creator of creators) {
+    const planned = await planCollectFeesFor(creator, graphqlUrl, provider);
+    tokenCount += planned.tokens.length;
+    txs.push(...planned.txs);
+    accounts.push({
+      account: creator.account,
+      label: creator.label,
+      address: creator.address,
+      pools: planned.results,
+    });
+  }
+
+  if (tokenCount === 0) {
+    return {
+      success: false,
+      error:
+        "No tokens found for this wallet. Launch a token first to earn fees.",
+    };
+  }
+
+  // Every sender needs ETH for the gas of its collections
+  const costs = maxCostBySender(txs);
+  for (const [from, cost] of Object.entries(costs)) {
+    const balance = await provider.getBalance(from);
+    if (balance < cost) {
+      return {
+        success: false,
+        error: `Insufficient ETH for gas on ${from}. Collecting can cost up to ${ethers.formatEther(
+          cost
+        )} ETH but the address has ${ethers.formatEther(balance)} ETH`,
+      };
+    }
+  }
+
+  return {
+    success: true,
+    plan: {
+      action: "collect-fees",
+      walletName: addressesResult.name,
+      account: allAccounts ? "all" : account,
+      rpcUrl,
+      chain,
+      txs,
+      summary: {
+        summary: {
+          ready: txs.length,
+          skipped: accounts.reduce(
+            (n, a) => n + a.pools.filter((p) => p.status === "skipped").length,
+            0
+          ),
+          errors: accounts.reduce(
+            (n, a) => n + a.pools.filter((p) => p.status === "error").length,
+            0
+          ),
+        },
+        accounts: allAccounts ? accounts : undefined,
+        results: allAccounts ? undefined : accounts[0].pools,
+        note: "Fees require minimum 0.1 ETH to collect. Collector receives 0.002 ETH reward, rest split between platform and creator.",
+      },
+    },
+  };
+}
+
+/**
+ * Preview collecting accumulated fees from the hook contract, for one
+ * account or (account "all") every account of an HD wallet
+ */
+export async function previewCollectFees(
+  graphqlUrl,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
+) {
+  const params = { walletName, account, graphqlUrl, rpcUrl };
+  try {
+    const planResult = await buildCollectFeesPlan(params);
+    if (planResult.success) {
+      planResult.plan.rebuild = () => buildCollectFeesPlan(params);
+    }
+    return previewPlan(planResult);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Fee collection failed: ${err.message}`,
+    };
+  }
+}
+
+async function buildReplacementPlan({
+  action,
+  nonce,
+  walletName,
+  account,
+  rpcUrl,
+}) {
+  const walletResult = getWalletAddress(walletName, account);
+  if (!walletResult.success) {
+    return walletResult;
+  }
+  const from = walletResult.address;
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const chain = await getChain(provider);
+
+  const minedCount = await provider.getTransactionCount(from, "latest");
+  if (nonce < minedCount) {
+    return {
+      success: false,
+      error: `Nonce ${nonce} of ${from} has already been mined. There is nothing to replace.`,
+    };
+  }
+
+  // The transaction to replace: found through the history, then its
+  // current form (to, value, data, fees) read from the RPC's mempool. One
+  // sent from elsewhere is looked up in the mempool by its nonce, so the
+  // replacement still outbids its fees.
+  const entry = findPendingByNonce(from, nonce, chain.chainId);
+  const original =
+    (entry && (await provider.getTransaction(entry.hash))) ||
+    (await findPendingTransaction(provider, from, nonce));
+  if (action === "speed-up" && !original) {
+    return {
+      success: false,
+      error: `No pending transaction with nonce ${nonce} from ${from} was found in the history and mempool. Use cancel to free the nonce instead.`,
+    };
+  }
+
+  const fees = await replacementFees(provider, original);
+  const tx =
+    action === "speed-up"
+      ? {
+          description: `Speed up: ${
+            entry ? entry.description || entry.type : `nonce ${nonce}`
+          }`,
+          from,
+          to: ethers.getAddress(original.to),
+          value: original.value,
+          data: original.data,
+          gasLimit: original.gasLimit,
+          ...fees,
+        }
+      : {
+          description: `Cancel nonce ${nonce} (send 0 ETH to self)`,
+          from,
+          to: from,
+          value: 0n,
+          data: "0x",
+          gasLimit: 21000n,
+          ...fees,
+        };
+  tx.nonce = nonce;
+  if (entry) {
+    tx.replaces = { id: entry.id, hash: entry.hash };
+  }
+
+  const cost = tx.value + tx.gasLimit * tx.maxFeePerGas;
+  const balance = await provider.getBalance(from);
+  if (balance < cost) {
+    return {
+      success: false,
+      error: `Insufficient balance. The replacement can cost up to ${ethers.formatEther(
+        cost
+      )} ETH but you have ${ethers.formatEther(balance)} ETH`,
+    };
+  }
+
+  return {
+    success: true,
+    plan: {
+      action,
+      walletName: walletResult.name,
+      account,
+      rpcUrl,
+      chain,
+      txs: [tx],
+      summary: {
+        nonce,
+        replaces:
+          entry || original
+            ? {
+                transactionHash: entry?.hash ?? original.hash,
+                description: entry?.description,
+                maxFeePerGas: original
+                  ? `${ethers.formatUnits(
+                      original.maxFeePerGas ?? original.gasPrice,
+                      "gwei"
+                    )} gwei`
+                  : undefined,
+              }
+            : null,
+      },
+    },
+  };
+}
+
+/**
+ * Preview replacing a stuck transaction by nonce with higher fees:
+ * "speed-up" re-sends the same transaction, "cancel" sends 0 ETH to self
+ * so the original can never be mined. Confirm with confirmTransaction.
+ */
+export async function previewReplacement(
+  action,
+  nonce,
+  rpcUrl = DEFAULT_RPC_URL,
+  walletName,
+  account
+) {
+  if (!Number.isInteger(nonce) || nonce < 0) {
+    return {
+      success: false,
+      error: "nonce must be a non-negative integer",
+    };
+  }
+
+  const params = { action, nonce, walletName, account, rpcUrl };
+  try {
+    const planResult = await buildReplacementPlan(params);
+    if (planResult.success) {
+      planResult.plan.rebuild = () => buildReplacementPlan(params);
+    }
+    return previewPlan(
+      planResult,
+      "Only one of the original and the replacement can be mined. If the original is mined first, the replacement is rejected."
+    );
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not prepare the ${action}: ${err.message}`,
+    };
+  }
+}
+
+// Amounts of a planned transaction, for the history ledger
+function historyAmounts(plan, tx) {
+  const { summary } = plan;
+  const amounts = { value: ethers.formatEther(tx.value) };
+  if (tx.transfer) {
+    Object.assign(amounts, tx.transfer);
+  } else if (tx.pool) {
+    amounts.amount = tx.pool.ethFees;
+    amounts.unit = "ETH";
+    amounts.token = tx.pool.tokenAddress;
+  } else if (summary.claimable) {
+    amounts.amount = summary.claimable.amount;
+    amounts.unit = summary.token.symbol;
+    amounts.token = summary.token.address;
+  } else if (summary.amount) {
+    amounts.amount = summary.amount;
+    amounts.unit = summary.unit;
+    amounts.token = summary.token?.address;
+    amounts.recipient = summary.to;
+  }
+  return amounts;
+}
+
+/**
+ * Execute a previewed plan (transfer, fee collection, vesting claim, ...)
+ * With an action, only a preview of that action is accepted.
+ *
+ * The plan is rebuilt from the current chain state first; if anything that
+ * would be sent differs from the preview (recipient, amount, calldata,
+ * sender or chain), nothing is sent and a new preview is needed.
+ * The spending policy is checked again right before signing, and every
+ * sent transaction is recorded in the history ledger.
+ * WARNING: This is irreversible!
+ */
+export async function confirmTransaction(password, confirmationId, action) {
+  const taken = takeConfirmation(confirmationId, action);
+  if (!taken.success) {
+    return taken;
+  }
+  const { plan } = taken;
+
+  // Unlock the signer(s) of the plan first: a mistyped password must not
+  // use up the preview
+  const signerResult =
+    plan.account === "all"
+      ? getAllSigners(password, plan.walletName)
+      : getDecryptedWallet(password, plan.walletName, plan.account);
+  if (!signerResult.success) {
+    restoreConfirmation(confirmationId, taken);
+    return signerResult;
+  }
+
+  let provider;
+  try {
+    provider = new ethers.JsonRpcProvider(plan.rpcUrl);
+
+    const chain = await getChain(provider);
+    if (chain.chainId !== plan.chain.chainId) {
+      return {
+        success: false,
+        error: `The RPC is now on chain ${chain.chainId}, but the preview was for chain ${plan.chain.chainId}. Nothing was sent.`,
+      };
+    }
+
+    const current = await plan.rebuild();
+    if (!current.success) {
+      return {
+        success: false,
+        error: `The previewed transaction is no longer valid: ${current.error}. Nothing was sent.`,
+      };
+    }
+    if (!samePlan(plan, current.plan)) {
+      return {
+        success: false,
+        error:
+          "Something changed since the preview (recipient, amount, eligible pools or sender). Nothing was sent. Run the action again for a new preview.",
+        preview: describePlan(current.plan),
+      };
+    }
+  } catch (err) {
+    return {
+      success: false,
+      error: `Could not re-check the previewed transaction: ${err.message}. Nothing was sent.`,
+    };
+  }
+
+  // The policy file may have changed since the preview
+  const allowed = checkPlan(plan);
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  const signers = {};
+  for (const signer of signerResult.signers || [signerResult]) {
+    signers[signer.address] = signer.wallet.connect(provider);
+  }
+
+  // Send everything first (the nonce manager keeps the order), then wait
+  // for all of them together so one slow transaction doesn't hold up the rest
+  const sends = [];
+  for (const tx of plan.txs) {
+    const signer = signers[tx.from];
+    if (!signer) {
+      sends.push({
+        tx,
+        error: `No key for sender ${tx.from}`,
+      });
+      continue;
+    }
+
+    try {
+      const sent = await sendPlannedTransaction(signer, tx, plan.chain.chainId);
+      const historyId = recordTransaction({
+        type: plan.action,
+        wallet: plan.walletName,
+        account: tx.account ?? plan.account,
+        chain: plan.chain,
+        rpcUrl: plan.rpcUrl,
+        hash: sent.hash,
+        nonce: sent.nonce,
+        description: tx.description,
+        from: tx.from,
+        to: tx.to,
+        replaces: tx.replaces?.id,
+        ...historyAmounts(plan, tx),
+      });
+      if (tx.replaces) {
+        updateTransaction(tx.replaces.id, { replacedBy: sent.hash });
+      }
+      sends.push({ tx, sent, historyId });
+    } catch (err) {
+      sends.push({ tx, error: err.message });
+    }
+  }
+
+  const transactions = await Promise.all(
+    sends.map(async ({ tx, sent, historyId, error }) => {
+      const base = {
+        description: tx.description,
+        from: tx.from,
+        to: tx.to,
+        value: `${ethers.formatEther(tx.value)} ETH`,
+        ...(tx.pool ? { pool: tx.pool } : {}),
+      };
+      if (!sent) {
+        return { ...base, status: "error", error };
+      }
+      base.transactionHash = sent.hash;
+      base.nonce = sent.nonce;
+
+      try {
+        const receipt = await waitForReceipt(sent);
+        if (!receipt) {
+          // Still in the mempool: the history keeps tracking it
+          return { ...base, status: "pending" };
+        }
+        const status = receipt.status === 1 ? "confirmed" : "failed";
+        updateTransaction(historyId, {
+          status,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+        });
+        return { ...base, status, blockNumber: receipt.blockNumber };
+      } catch (err) {
+        if (err.code === "TRANSACTION_REPLACED") {
+          updateTransaction(historyId, {
+            status: "replaced",
+            replacedBy: err.replacement.hash,
+          });
+          return {
+            ...base,
+            status: "replaced",
+            replacedBy: err.replacement.hash,
+          };
+        }
+        // A reverted transaction was still mined; anything else stays
+        // pending in the history until re-checked
+        if (err.receipt) {
+          updateTransaction(historyId, {
+            status: "failed",
+            blockNumber: err.receipt.blockNumber,
+            gasUsed: err.receipt.gasUsed.toString(),
+          });
+        }
+        return {
+          ...base,
+          status: err.receipt ? "failed" : "error",
+          error: err.message,
+        };
+      }
+    })
+  );
+
+  const count = (status) =>
+    transactions.filter((t) => t.status === status).length;
+  const confirmed = count("confirmed");
+  const pending = count("pending");
+  const result = {
+    success: confirmed + pending > 0,
+    action: plan.action,
+    chain: plan.chain,
+    ...plan.summary,
+    transactions,
+    message: `${confirmed} of ${transactions.length} transaction(s) confirmed`,
+  };
+  if (pending > 0) {
+    result.message += `, ${pending} still pending`;
+    result.note =
+      "Pending transactions keep going after this call. Check them with the history tool, or use wallet speed-up / cancel with their nonce if they are stuck.";
+  }
+  return result;
 }